@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+'use strict'
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+const usage = `Usage: ngnx-leveldb <command> <directory> [arguments] [options]
+
+Commands:
+  ls [prefix]          List keys (optionally beginning with the prefix).
+  get <key>            Display the decoded value of a key.
+  put <key> <value>    Write a value (parsed as JSON when possible).
+  del <key>            Delete a key.
+  count [prefix]       Count keys (optionally beginning with the prefix).
+  dump [file]          Export the data as NDJSON (to stdout by default).
+  load <file>          Import NDJSON data (from stdin when the file is -).
+  stats                Summarize the stored data.
+  compact              Compact the database.
+
+Options:
+  --namespace <name>   Only use keys within the namespace.
+  --model              Values are model fields (store documents by default).
+  --key <passphrase>   Encryption passphrase of encrypted databases.
+  --algorithm <name>   Encryption algorithm (aes-256-gcm by default).
+  --gt, --gte, --lt, --lte <key>
+                       Restrict ls/count to a range of keys.
+  --limit <n>          Maximum number of keys to list.
+  --reverse            List keys in reverse order.
+  --all                Include metadata keys (such as index entries).
+  --merge              Merge loaded data with the existing data (replaces
+                       the existing data by default).`
+
+// Parse the command line into positional arguments and options.
+let parse = function (argv) {
+  let args = []
+  let options = {}
+  let flags = ['model', 'reverse', 'all', 'merge', 'help']
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].indexOf('--') === 0) {
+      let name = argv[i].substr(2)
+
+      if (flags.indexOf(name) >= 0) {
+        options[name] = true
+      } else {
+        options[name] = argv[++i]
+      }
+    } else {
+      args.push(argv[i])
+    }
+  }
+
+  return {
+    command: args.shift(),
+    directory: args.shift(),
+    args: args,
+    options: options
+  }
+}
+
+const LevelDBProxy = NGNX.DATA.LevelDBProxy
+
+// Decode a raw value the way the proxy reads it, restoring the values of
+// type codecs (see LevelDBProxy.registerCodec).
+let decode = function (value, model) {
+  if (model && value.indexOf('#NIL') >= 0) {
+    return null
+  }
+
+  try {
+    return LevelDBProxy.decodeTyped(JSON.parse(value))
+  } catch (e) {
+    // Model strings are stored without JSON encoding.
+    return value
+  }
+}
+
+// Encode a value the way the proxy writes it. Tagged values (such as
+// `{"#type":"Date","value":"..."}`) are written with their codec.
+let encode = function (proxy, key, value, model) {
+  try {
+    value = LevelDBProxy.decodeTyped(JSON.parse(value))
+  } catch (e) {}
+
+  return proxy.encodedValue(model ? proxy.fieldOperation(key, value) : proxy.flatten(key, value))
+}
+
+// Display a decoded value. Values of type codecs cannot be represented
+// as JSON, so they are inspected instead.
+let display = function (value) {
+  if (JSON.stringify(value) !== JSON.stringify(LevelDBProxy.encodeTyped(value))) {
+    return require('util').inspect(value, { depth: null })
+  }
+
+  return JSON.stringify(value, null, 2)
+}
+
+let range = function (proxy, prefix, options) {
+  if (options.all) {
+    return proxy.namespaceRange()
+  }
+
+  let bounds = {}
+
+  ;['gt', 'gte', 'lt', 'lte'].forEach((boundary) => {
+    if (options[boundary] !== undefined) {
+      bounds[boundary] = options[boundary]
+    }
+  })
+
+  let result = proxy.keyRange(bounds)
+
+  // The prefix is matched against the raw keys, so the upper boundary is
+  // the key following every key beginning with the prefix.
+  if (prefix) {
+    let key = NGN.coalesce(proxy.namespaceRange().gte, '') + prefix
+
+    result.gte = key
+    result.lt = key.slice(0, -1) + String.fromCharCode(key.charCodeAt(key.length - 1) + 1)
+  }
+
+  return result
+}
+
+let keys = function (proxy, prefix, options, onKey) {
+  return proxy.op((db, done) => {
+    return new Promise((resolve, reject) => {
+      db.createKeyStream(Object.assign({
+        keyEncoding: 'string',
+        limit: options.limit === undefined ? -1 : parseInt(options.limit, 10),
+        reverse: options.reverse === true
+      }, range(proxy, prefix, options)))
+        .on('data', (key) => onKey(proxy.fromKey(key)))
+        .on('error', reject)
+        .on('end', resolve)
+    })
+  })
+}
+
+let commands = {
+  ls: (proxy, args, options) => {
+    return keys(proxy, args[0], options, (key) => console.log(JSON.stringify(key).slice(1, -1)))
+  },
+
+  count: (proxy, args, options) => {
+    let count = 0
+
+    return keys(proxy, args[0], options, () => count++).then(() => console.log(count))
+  },
+
+  get: (proxy, args, options) => {
+    return proxy.op((db) => {
+      return new Promise((resolve, reject) => {
+        db.get(proxy.toKey(args[0]), { keyEncoding: 'string', valueEncoding: 'utf8' }, (err, value) => {
+          if (err) {
+            return reject(err.notFound ? new Error(args[0] + ' does not exist.') : err)
+          }
+
+          console.log(display(decode(value, options.model)))
+          resolve()
+        })
+      })
+    })
+  },
+
+  put: (proxy, args, options) => {
+    if (args.length < 2) {
+      return Promise.reject(new Error('A key and value are required.'))
+    }
+
+    return proxy.op((db) => {
+      return new Promise((resolve, reject) => {
+        db.put(proxy.toKey(args[0]), encode(proxy, args[0], args[1], options.model), {
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        }, (err) => err ? reject(err) : resolve())
+      })
+    })
+  },
+
+  del: (proxy, args) => {
+    return proxy.op((db) => {
+      return new Promise((resolve, reject) => {
+        db.del(proxy.toKey(args[0]), { keyEncoding: 'string' }, (err) => err ? reject(err) : resolve())
+      })
+    })
+  },
+
+  dump: (proxy, args) => {
+    return proxy.exportTo(args[0] && args[0] !== '-' ? args[0] : process.stdout)
+  },
+
+  load: (proxy, args, options) => {
+    if (!args[0]) {
+      return Promise.reject(new Error('A file is required.'))
+    }
+
+    return proxy.importFrom(args[0] === '-' ? process.stdin : args[0], {
+      mode: options.merge ? 'merge' : 'replace'
+    }).then((count) => console.error(count + ' keys loaded.'))
+  },
+
+  stats: (proxy) => {
+    return proxy.stats().then((stats) => console.log(JSON.stringify(stats, null, 2)))
+  },
+
+  compact: (proxy) => {
+    return proxy.compact()
+  }
+}
+
+let cli = parse(process.argv.slice(2))
+
+if (cli.options.help || !cli.command) {
+  console.log(usage)
+  process.exit(cli.command || cli.options.help ? 0 : 1)
+}
+
+if (!commands.hasOwnProperty(cli.command)) {
+  console.error('Unknown command: ' + cli.command + '\n\n' + usage)
+  process.exit(1)
+}
+
+if (!cli.directory) {
+  console.error('A LevelDB directory is required.\n\n' + usage)
+  process.exit(1)
+}
+
+let proxy = new NGNX.DATA.LevelDBProxy({
+  directory: cli.directory,
+  namespace: NGN.coalesce(cli.options.namespace, null),
+  encryption: cli.options.key ? {
+    key: cli.options.key,
+    algorithm: cli.options.algorithm
+  } : null
+})
+
+let exit = (code) => {
+  proxy.close(() => process.exit(code))
+}
+
+commands[cli.command](proxy, cli.args, cli.options).then(() => exit(0), (err) => {
+  console.error(err.message)
+  exit(1)
+})
@@ -1,5 +1,883 @@
 'use strict'
 
+// Proxies with an open LevelDB handle which close automatically when the
+// process exits (see LevelDbProxy#closeOnExit).
+const connections = new Set()
+
+const closeConnections = (callback) => {
+  let pending = connections.size
+
+  if (pending === 0) {
+    return process.nextTick(callback)
+  }
+
+  Array.from(connections).forEach((proxy) => {
+    proxy.close(() => {
+      if (--pending === 0) {
+        callback()
+      }
+    })
+  })
+}
+
+let watchingProcess = false
+
+// The process handlers are only registered once a proxy opts in. The signal
+// is raised again once the proxies are closed, so the process terminates as
+// usual (unless the application handles the signal itself).
+const watchProcess = () => {
+  if (watchingProcess) {
+    return
+  }
+
+  watchingProcess = true
+
+  process.once('beforeExit', () => closeConnections(() => {}))
+
+  ;['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.once(signal, () => {
+      closeConnections(() => {
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal)
+        }
+      })
+    })
+  })
+
+  // Nothing asynchronous runs once the process exits (such as with
+  // process.exit()). Acknowledged writes are durable, but coalesced changes
+  // which were not written yet (see LevelDbProxy#liveSync) are lost.
+  process.once('exit', () => {
+    connections.forEach((proxy) => {
+      if (proxy._changes.size > 0) {
+        console.warn('The process exited before ' + proxy._changes.size + ' coalesced change(s) were written to ' + NGN.coalesce(proxy.directory, 'the database') + '. Call flush() or close() before exiting.')
+      }
+    })
+  })
+}
+
+// Open LevelDB handles, keyed by the absolute path of the database directory.
+// Proxies using the same directory share a single handle, which is closed when
+// the last proxy releases it.
+const handles = new Map()
+
+// Tasks waiting to write to a key (see LevelDbProxy#exclusive), keyed by the
+// database directory and the LevelDB key, so proxies sharing a handle also
+// share the locks.
+const locks = new Map()
+
+const openHandle = (location, handle) => {
+  handle.opening = true
+
+  handle.open((err, db) => {
+    let queue = handle.queue.splice(0)
+
+    handle.opening = false
+
+    if (err) {
+      handle.references -= queue.length
+
+      if (handle.references <= 0) {
+        handles.delete(location)
+      }
+    } else {
+      handle.db = db
+    }
+
+    queue.forEach((fn) => {
+      fn(err || null, err ? null : db)
+    })
+  })
+}
+
+// Acquire a reference to the shared handle of a database directory. The `open`
+// function is only used when the database is not already open.
+const acquireHandle = (location, open, callback) => {
+  let handle = handles.get(location)
+
+  if (!handle) {
+    handle = {
+      db: null,
+      references: 0,
+      queue: [],
+      opening: false,
+      closing: false
+    }
+
+    handles.set(location, handle)
+  }
+
+  handle.open = open
+  handle.references++
+
+  if (handle.db !== null && !handle.closing) {
+    return process.nextTick(() => callback(null, handle.db))
+  }
+
+  handle.queue.push(callback)
+
+  if (!handle.opening && !handle.closing) {
+    openHandle(location, handle)
+  }
+}
+
+// Release a reference to the shared handle of a database directory.
+const releaseHandle = (location, callback) => {
+  let handle = handles.get(location)
+
+  handle.references--
+
+  if (handle.references > 0) {
+    return process.nextTick(() => callback(null))
+  }
+
+  handle.closing = true
+
+  handle.db.close((err) => {
+    handle.closing = false
+    handle.db = null
+
+    // Reopen for proxies which requested the database while it was closing.
+    if (handle.queue.length > 0) {
+      openHandle(location, handle)
+    } else {
+      handles.delete(location)
+    }
+
+    callback(err || null)
+  })
+}
+
+NGN.createException({
+  name: 'LevelDBProxyLockError',
+  type: 'LevelDBProxyLockError',
+  severity: 'critical',
+  message: 'The LevelDB database is locked.',
+  custom: {
+    help: 'Close other handles (or processes) using the database directory, or share a single proxy.',
+    cause: 'LevelDB only allows one handle to open a database directory at a time.'
+  }
+})
+
+NGN.createException({
+  name: 'LevelDBProxyReadError',
+  type: 'LevelDBProxyReadError',
+  message: 'Failed to read from the LevelDB database.'
+})
+
+NGN.createException({
+  name: 'LevelDBProxyDecodeError',
+  type: 'LevelDBProxyDecodeError',
+  message: 'Failed to decode a value stored in the LevelDB database.',
+  custom: {
+    help: 'Make sure the data on disk matches the field types of the model.',
+    cause: 'The stored value could not be converted to the expected data type.'
+  }
+})
+
+NGN.createException({
+  name: 'LevelDBProxyWriteError',
+  type: 'LevelDBProxyWriteError',
+  severity: 'critical',
+  message: 'Failed to write to the LevelDB database.'
+})
+
+NGN.createException({
+  name: 'LevelDBProxyConflictError',
+  type: 'LevelDBProxyConflictError',
+  message: 'The record was modified since it was loaded.',
+  custom: {
+    help: 'Reload the record and apply the change again, or configure resolveConflict.',
+    cause: 'The revision of the stored record does not match the revision of the record being written.'
+  }
+})
+
+// Wrap a LevelDB error in one of the proxy error types. Errors which already
+// are proxy errors are returned as-is. The underlying error is available as
+// `originalError`.
+const wrap = (ErrorType, message, err) => {
+  if (err && /^LevelDBProxy/.test(err.name)) {
+    return err
+  }
+
+  let error = ErrorType(message + (err && err.message ? ' ' + err.message : ''))
+  error.originalError = err || null
+
+  return error
+}
+
+// Wrap a LevelDB read error. Values which cannot be decoded produce a
+// decode error.
+const wrapRead = (message, err) => {
+  return wrap(err && err.name === 'EncodingError' ? LevelDBProxyDecodeError : LevelDBProxyReadError, message, err)
+}
+
+// Encode an indexed value so the lexicographical order of LevelDB keys matches
+// the natural order of the values. The first character identifies the data
+// type, so values of different types never overlap.
+const encodeIndexValue = (value) => {
+  if (typeof value === 'number') {
+    let buffer = Buffer.alloc(8)
+
+    // Flip the sign bit of positive numbers and every bit of negative
+    // numbers, so the bytes of the IEEE 754 representation sort numerically.
+    buffer.writeDoubleBE(value, 0)
+
+    if (buffer[0] & 0x80) {
+      for (let i = 0; i < buffer.length; i++) {
+        buffer[i] = ~buffer[i] & 0xff
+      }
+    } else {
+      buffer[0] |= 0x80
+    }
+
+    return 'n' + buffer.toString('hex')
+  }
+
+  if (typeof value === 'boolean') {
+    return 'b' + (value ? '1' : '0')
+  }
+
+  if (typeof value === 'string') {
+    return 's' + value
+  }
+
+  return 'j' + JSON.stringify(value)
+}
+
+// Decode a value encoded by encodeIndexValue.
+const decodeIndexValue = (value) => {
+  let type = value.charAt(0)
+
+  value = value.substr(1)
+
+  if (type === 'n') {
+    let buffer = Buffer.from(value, 'hex')
+
+    if (buffer[0] & 0x80) {
+      buffer[0] &= 0x7f
+    } else {
+      for (let i = 0; i < buffer.length; i++) {
+        buffer[i] = ~buffer[i] & 0xff
+      }
+    }
+
+    return buffer.readDoubleBE(0)
+  }
+
+  if (type === 'b') {
+    return value === '1'
+  }
+
+  if (type === 's') {
+    return value
+  }
+
+  return JSON.parse(value)
+}
+
+// Convert a record ID to the string used in its keys. Composite IDs (arrays
+// of strings and numbers) are converted to JSON, which retains their parts.
+const idString = (id) => Array.isArray(id) ? JSON.stringify(id) : id.toString()
+
+// Identify the parts of a composite ID converted by idString (or `null`).
+const idParts = (id) => {
+  if (id.charAt(0) !== '[') {
+    return null
+  }
+
+  try {
+    let parts = JSON.parse(id)
+
+    return Array.isArray(parts) && parts.length > 0 && parts.every((part) => typeof part === 'string' || typeof part === 'number') ? parts : null
+  } catch (e) {
+    return null
+  }
+}
+
+// Encode the parts of a composite ID so the keys are ordered by the first
+// part, then the second, and so on. Each part is encoded like an index value
+// and terminated by \x00\x00 (a \x00 within a part is escaped as \x00\x01),
+// so a part sorts before any longer part it is a prefix of.
+const encodeParts = (parts) => {
+  return 'c' + parts.map((part) => encodeIndexValue(part).replace(/\x00/g, '\x00\x01') + '\x00\x00').join('')
+}
+
+// Decode the parts of a composite ID encoded by encodeParts (or `null`).
+const decodeParts = (value) => {
+  let parts = []
+  let position = 1
+
+  while (position < value.length) {
+    let end = value.indexOf('\x00\x00', position)
+    let part = end < 0 ? '' : value.substring(position, end).replace(/\x00\x01/g, '\x00')
+
+    if (part.charAt(0) !== 'n' && part.charAt(0) !== 's') {
+      return null
+    }
+
+    parts.push(decodeIndexValue(part))
+    position = end + 2
+  }
+
+  return parts.length > 0 ? parts : null
+}
+
+// Prefix identifying encrypted values (followed by the key ID and payload).
+const ENCRYPTED = '#ENC1:'
+
+// Key lengths (in bytes) of the supported authenticated encryption algorithms.
+const CIPHERS = {
+  'aes-128-gcm': 16,
+  'aes-192-gcm': 24,
+  'aes-256-gcm': 32,
+  'chacha20-poly1305': 32
+}
+
+// Create the keyring used to encrypt values. Buffers are used as-is, while
+// strings are treated as passphrases. Passphrases are derived with scrypt,
+// using a random salt stored in the database, so their keys are only
+// available once the keyring is unlocked with the salt (see
+// LevelDbProxy#unlock). Each key is identified by a short fingerprint, which
+// is stored with the values it encrypts.
+const createKeyring = (encryption) => {
+  const crypto = require('crypto')
+
+  let algorithm = NGN.coalesce(encryption.algorithm, 'aes-256-gcm')
+
+  if (!CIPHERS.hasOwnProperty(algorithm)) {
+    throw new Error('Unsupported encryption algorithm: ' + algorithm + '. Use one of ' + Object.keys(CIPHERS).join(', ') + '.')
+  }
+
+  let keyring = {
+    algorithm: algorithm,
+    current: null,
+    keys: {},
+    entries: [],
+    salt: null
+  }
+
+  let derive = (entry) => {
+    let key = Buffer.isBuffer(entry.secret)
+      ? entry.secret.slice(0, CIPHERS[algorithm])
+      : crypto.scryptSync(entry.secret, keyring.salt, CIPHERS[algorithm])
+
+    entry.key = key
+    entry.id = crypto.createHash('sha256').update(key).digest('hex').substr(0, 8)
+    keyring.keys[entry.id] = entry
+  }
+
+  keyring.add = (key) => {
+    if (!key) {
+      throw new Error('An encryption key is required.')
+    }
+
+    if (Buffer.isBuffer(key) && key.length < CIPHERS[algorithm]) {
+      throw new Error('The encryption key must be at least ' + CIPHERS[algorithm] + ' bytes long.')
+    }
+
+    if (!Buffer.isBuffer(key) && !NGN.isFn(crypto.scryptSync)) {
+      throw new Error('Passphrases require scrypt (crypto.scryptSync), which is not available in Node.js ' + process.version + '. Use a Buffer key instead.')
+    }
+
+    let entry = {
+      secret: Buffer.isBuffer(key) ? key : String(key),
+      id: null,
+      key: null
+    }
+
+    keyring.entries.push(entry)
+
+    if (Buffer.isBuffer(key) || keyring.salt !== null) {
+      derive(entry)
+    }
+
+    return entry
+  }
+
+  // Indicates passphrases are waiting for the salt.
+  keyring.locked = () => keyring.salt === null && keyring.entries.some((entry) => entry.key === null)
+
+  keyring.unlock = (salt) => {
+    keyring.salt = salt
+    keyring.entries.filter((entry) => entry.key === null).forEach(derive)
+  }
+
+  // Forget the salt (and the keys derived from it), such as when the
+  // database which stores it is destroyed.
+  keyring.lock = () => {
+    keyring.salt = null
+    keyring.entries.filter((entry) => !Buffer.isBuffer(entry.secret)).forEach((entry) => {
+      delete keyring.keys[entry.id]
+      entry.id = null
+      entry.key = null
+    })
+  }
+
+  NGN.coalesce(encryption.previousKeys, []).forEach(keyring.add)
+  keyring.current = keyring.add(encryption.key)
+
+  return keyring
+}
+
+// Prefix identifying compressed values (followed by the compression
+// algorithm and payload).
+const COMPRESSED = '#ZIP1:'
+
+// The error thrown when brotli is not available (it was added in Node.js
+// 11.7.0), which is checked when brotli is used rather than when the module
+// is loaded.
+const BROTLI_UNAVAILABLE = 'Brotli compression is not available in Node.js ' + process.version + ' (Node.js 11.7.0 or later is required).'
+
+const brotli = (method) => {
+  let zlib = require('zlib')
+
+  if (!NGN.isFn(zlib[method])) {
+    throw new Error(BROTLI_UNAVAILABLE)
+  }
+
+  return zlib[method]
+}
+
+// The supported compression algorithms.
+const COMPRESSORS = {
+  gzip: {
+    compress: (data) => require('zlib').gzipSync(data),
+    decompress: (data) => require('zlib').gunzipSync(data)
+  },
+  deflate: {
+    compress: (data) => require('zlib').deflateSync(data),
+    decompress: (data) => require('zlib').inflateSync(data)
+  },
+  brotli: {
+    compress: (data) => brotli('brotliCompressSync')(data),
+    decompress: (data) => brotli('brotliDecompressSync')(data)
+  }
+}
+
+// Type codecs, which convert values JSON cannot represent (such as dates)
+// to JSON-compatible values and back. The most recently registered codecs
+// take precedence. See LevelDBProxy.registerCodec.
+const CODECS = []
+
+const registerCodec = (Type, codec) => {
+  codec = Object.assign({
+    name: NGN.isFn(Type) ? Type.name : null,
+    is: (value) => value instanceof Type
+  }, codec, {
+    type: Type
+  })
+
+  if (!codec.name || !NGN.isFn(codec.encode) || !NGN.isFn(codec.decode)) {
+    throw new Error('Type codecs require a name and encode/decode functions.')
+  }
+
+  CODECS.unshift(codec)
+}
+
+registerCodec(Date, {
+  encode: (value) => value.toJSON(),
+  decode: (value) => new Date(value === null ? NaN : value)
+})
+
+registerCodec(Buffer, {
+  is: (value) => Buffer.isBuffer(value),
+  encode: (value) => value.toString('base64'),
+  decode: (value) => Buffer.from(value, 'base64')
+})
+
+registerCodec(RegExp, {
+  encode: (value) => [value.source, value.flags],
+  decode: (value) => new RegExp(value[0], value[1])
+})
+
+registerCodec(Map, {
+  encode: (value) => Array.from(value.entries()),
+  decode: (value) => new Map(value)
+})
+
+registerCodec(Set, {
+  encode: (value) => Array.from(value),
+  decode: (value) => new Set(value)
+})
+
+// BigInt was added in Node.js 10.4.0. It is only required when a BigInt
+// value is restored, so the module still loads in earlier versions.
+registerCodec(global.BigInt, {
+  name: 'BigInt',
+  is: (value) => Object.prototype.toString.call(value) === '[object BigInt]',
+  encode: (value) => value.toString(),
+  decode: (value) => {
+    if (typeof BigInt !== 'function') {
+      throw new Error('BigInt values cannot be restored in Node.js ' + process.version + ' (Node.js 10.4.0 or later is required).')
+    }
+
+    return BigInt(value)
+  }
+})
+
+// Identify the codec of a value, or of a data type.
+const codecFor = (value) => {
+  return CODECS.find((codec) => codec.is(value)) || null
+}
+
+const codecForType = (Type) => {
+  return CODECS.find((codec) => codec.type !== undefined && codec.type === Type) || null
+}
+
+// Convert the values which have a codec (including nested values) into
+// tagged objects, i.e. `{ "#type": "Date", "value": "2017-..." }`.
+const encodeTyped = (value) => {
+  if (value === null || value === undefined) {
+    return value
+  }
+
+  let codec = codecFor(value)
+
+  if (codec !== null) {
+    return {
+      '#type': codec.name,
+      value: encodeTyped(codec.encode(value))
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(encodeTyped)
+  }
+
+  if (typeof value === 'object' && (value.constructor === Object || Object.getPrototypeOf(value) === null)) {
+    let result = {}
+
+    Object.keys(value).forEach((key) => {
+      result[key] = encodeTyped(value[key])
+    })
+
+    return result
+  }
+
+  return value
+}
+
+// Restore the tagged objects generated by encodeTyped. Tags of unknown codecs
+// are left as-is.
+const decodeTyped = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(decodeTyped)
+  }
+
+  let keys = Object.keys(value)
+
+  if (keys.length === 2 && value.hasOwnProperty('#type') && value.hasOwnProperty('value')) {
+    let codec = CODECS.find((codec) => codec.name === value['#type'])
+
+    if (codec) {
+      return codec.decode(decodeTyped(value.value))
+    }
+  }
+
+  let result = {}
+
+  keys.forEach((key) => {
+    result[key] = decodeTyped(value[key])
+  })
+
+  return result
+}
+
+// Wrap a LevelDB handle so stored values are transformed transparently.
+// JSON values are encoded with the type codecs, and values may be compressed
+// and/or encrypted. The transformations receive the key of the value (which
+// encryption authenticates). Written values use a level-codec encoding which
+// applies the transformation after encoding, while read streams read the
+// stored values and decode them along with their keys.
+const transformHandle = (db, seal, unseal) => {
+  let handle = Object.create(db)
+
+  let name = (options) => {
+    let encoding = NGN.coalesce(options.valueEncoding, options.encoding)
+
+    return typeof encoding === 'string' ? encoding : 'utf8'
+  }
+
+  let encode = (encoding, value, key) => seal(encoding === 'json' ? JSON.stringify(encodeTyped(value)) : String(value), key)
+
+  let decode = (encoding, value, key) => {
+    value = unseal(value, key)
+
+    return encoding === 'json' ? decodeTyped(JSON.parse(value)) : value
+  }
+
+  // The level-codec encoding of a single key's value.
+  let encoding = (options, key) => {
+    let encoding = name(options)
+
+    return {
+      type: 'transformed-' + encoding,
+      buffer: false,
+      encode: (value) => encode(encoding, value, key),
+      decode: (value) => decode(encoding, value, key)
+    }
+  }
+
+  // Normalize the optional options argument.
+  let call = (method, args, index) => {
+    args = Array.prototype.slice.call(args)
+
+    if (NGN.isFn(args[index])) {
+      args.splice(index, 0, {})
+    }
+
+    let options = Object.assign({}, args[index])
+
+    options.valueEncoding = encoding(options, args[0])
+    delete options.encoding
+    args[index] = options
+
+    return db[method].apply(db, args)
+  }
+
+  let stream = (options) => {
+    options = Object.assign({}, options)
+
+    let encoding = name(options)
+    let keys = options.keys !== false
+    let values = options.values !== false
+
+    delete options.encoding
+
+    let input = db.createReadStream(Object.assign(options, {
+      keys: true,
+      values: true,
+      valueEncoding: 'utf8'
+    }))
+
+    let output = new (require('stream').Transform)({
+      objectMode: true,
+      transform: (item, _, next) => {
+        let value
+
+        try {
+          value = decode(encoding, item.value, item.key)
+        } catch (e) {
+          return next(e)
+        }
+
+        next(null, keys && values ? { key: item.key, value: value } : (keys ? item.key : value))
+      },
+      destroy: (err, callback) => {
+        input.destroy()
+        callback(err)
+      }
+    })
+
+    input.on('error', (err) => output.destroy(err))
+
+    return input.pipe(output)
+  }
+
+  // The untransformed handle.
+  handle.source = db
+
+  handle.put = function () {
+    return call('put', arguments, 2)
+  }
+
+  handle.get = function () {
+    return call('get', arguments, 1)
+  }
+
+  handle.batch = function (operations) {
+    if (!Array.isArray(operations)) {
+      return db.batch.apply(db, arguments)
+    }
+
+    let args = Array.prototype.slice.call(arguments)
+    let defaults = NGN.isFn(args[1]) ? {} : NGN.coalesce(args[1], {})
+
+    args[0] = operations.map((operation) => {
+      if (operation.type !== 'put') {
+        return operation
+      }
+
+      return Object.assign({}, operation, {
+        valueEncoding: encoding({
+          valueEncoding: NGN.coalesce(operation.valueEncoding, operation.encoding, defaults.valueEncoding, defaults.encoding)
+        }, operation.key)
+      })
+    })
+
+    return db.batch.apply(db, args)
+  }
+
+  handle.createReadStream = handle.readStream = function (options) {
+    return stream(options)
+  }
+
+  handle.createValueStream = handle.valueStream = function (options) {
+    return stream(Object.assign({}, options, { keys: false }))
+  }
+
+  return handle
+}
+
+// Run asynchronous steps in order, stopping at the first error.
+// Each step receives a `next` function, which accepts an optional error.
+const series = (steps, callback) => {
+  let TaskRunner = require('shortbus')
+  let tasks = new TaskRunner()
+  let error = null
+
+  steps.forEach((fn) => {
+    tasks.add((next) => {
+      fn((err) => {
+        if (err) {
+          error = err
+          tasks.abort()
+        }
+
+        next()
+      })
+    })
+  })
+
+  tasks.on('complete', () => {
+    callback(error || null)
+  })
+
+  tasks.run(true)
+}
+
+// Create a subscription to committed changes (see LevelDbProxy#watch).
+// Changes are queued, and delivered to the handler one at a time.
+const createWatcher = (filter, handler, options, failed) => {
+  let queue = []
+  let waiting = []
+  let delivering = false
+  let closed = false
+  let highWaterMark = NGN.coalesce(options.highWaterMark, 1000)
+
+  let accepts = (change) => {
+    if (filter === null || filter === undefined) {
+      return true
+    }
+
+    if (NGN.isFn(filter)) {
+      return filter(NGN.coalesce(change.new, change.old), change.key) === true
+    }
+
+    if (typeof filter !== 'object') {
+      return change.key === String(filter)
+    }
+
+    let key = change.key
+
+    return (filter.prefix === undefined || key.indexOf(filter.prefix) === 0) &&
+      (filter.gt === undefined || key > filter.gt) &&
+      (filter.gte === undefined || key >= filter.gte) &&
+      (filter.lt === undefined || key < filter.lt) &&
+      (filter.lte === undefined || key <= filter.lte)
+  }
+
+  // Writers waiting for capacity resume once the queue is below the limit.
+  let release = () => {
+    if (closed || queue.length < highWaterMark) {
+      waiting.splice(0).forEach((fn) => fn())
+    }
+  }
+
+  let deliver = () => {
+    if (delivering || closed || queue.length === 0) {
+      return
+    }
+
+    let change = queue.shift()
+    let result
+
+    // The next change is delivered even if reporting the failure throws
+    // (i.e. from an `error` listener).
+    let delivered = (err) => {
+      try {
+        if (err) {
+          failed(err, change)
+        }
+      } finally {
+        delivering = false
+        release()
+        process.nextTick(deliver)
+      }
+    }
+
+    delivering = true
+
+    try {
+      result = handler(change)
+    } catch (e) {
+      return delivered(e)
+    }
+
+    if (result && NGN.isFn(result.then)) {
+      result.then(() => delivered(), (err) => delivered(err || new Error('The watch handler failed.')))
+    } else {
+      delivered()
+    }
+  }
+
+  let watcher = {
+    matches: (change) => {
+      try {
+        return accepts(change)
+      } catch (e) {
+        failed(e, change)
+        return false
+      }
+    },
+
+    push: (changes) => {
+      if (!closed && changes.length > 0) {
+        queue = queue.concat(changes)
+        deliver()
+      }
+    },
+
+    get full () {
+      return !closed && queue.length >= highWaterMark
+    },
+
+    drain: (callback) => {
+      waiting.push(callback)
+      release()
+    },
+
+    onclose: null,
+
+    subscription: {
+      unwatch: () => {
+        if (closed) {
+          return
+        }
+
+        closed = true
+        queue = []
+        release()
+
+        if (NGN.isFn(watcher.onclose)) {
+          watcher.onclose()
+        }
+      },
+
+      get pending () {
+        return queue.length
+      }
+    }
+  }
+
+  return watcher
+}
+
 /**
  * @class NGNX.DATA.LevelDbProxy
  * Persist NGN DATA stores using LevelDB.
@@ -12,10 +890,12 @@
  * a few common practices. Some assumptions must be made in order to do this.
  *
  * The LevelDB proxy assumes an #NGN.DATA.Store represents a complete LevelDB
- * database/directory. When fetching data, the store is loaded with the full
- * contents of the LevelDB data. When saving, records are flattened into a
- * key/value manner where the key is the ID of a record and the value is the
- * raw JSON data of the record (including the ID).
+ * database/directory, unless a #namespace is configured (in which case the
+ * store represents the keys within the namespace, allowing several stores to
+ * share one directory). When fetching data, the store is loaded with the full
+ * contents of the LevelDB data (or namespace). When saving, records are
+ * flattened into a key/value manner where the key is the ID of a record and
+ * the value is the raw JSON data of the record (including the ID).
  *
  * If this proxy is applied to a single #NGN.DATA.Model (instead of a Store),
  * it is assumed to represent the entire dataset. Instead of flattening the
@@ -29,232 +909,6542 @@ class LevelDbProxy extends NGN.DATA.Proxy {
   constructor (config) {
     config = config || {}
 
-    if (typeof config === 'string') {
-      config = {
-        directory: config
+    if (typeof config === 'string') {
+      config = {
+        directory: config
+      }
+    }
+
+    if (!config.directory && !config.backend) {
+      throw new Error('No database configuration detected.')
+    }
+
+    if (!config.backend && !NGN.util.pathReadable(config.directory)) {
+      console.warn(config.directory + ' does not exist or cannot be found. It will be created automatically if any data operation is requested.')
+    }
+
+    super(config)
+
+    if (NGN.coalesce(config.namespace, config.prefix, '').toString().indexOf('!') >= 0) {
+      throw new Error('Namespaces cannot contain "!".')
+    }
+
+    if (config.compression && !COMPRESSORS.hasOwnProperty(config.compression)) {
+      throw new Error('Unsupported compression algorithm: ' + config.compression + '. Use one of ' + Object.keys(COMPRESSORS).join(', ') + '.')
+    }
+
+    if (config.compression === 'brotli' && !NGN.isFn(require('zlib').brotliCompressSync)) {
+      throw new Error(BROTLI_UNAVAILABLE)
+    }
+
+    // Databases without a directory are identified by a unique location.
+    let location = config.directory ? require('path').resolve(config.directory) : 'leveldb-' + NGN.DATA.util.GUID()
+    let migrations = NGN.coalesce(config.migrations, {})
+    let versioned = config.migrations !== undefined || config.version !== undefined
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} directory
+       * Path to the LevelDB database directory. This is optional when a
+       * #backend is used, in which case it is passed to the backend (and
+       * proxies with the same directory share the database).
+       */
+      directory: NGN.const(NGN.coalesce(config.directory, null)),
+
+      /**
+       * @cfg {function} [backend]
+       * A factory which creates the abstract-leveldown compatible store
+       * used by levelup (its `db` option), such as `memdown` for an
+       * in-memory database. The factory receives the #directory (or a
+       * unique location). Defaults to `leveldown`. Since other backends may
+       * not store data in a directory, clearing the store removes every key
+       * and full rewrites (see #save) are written within a single batch.
+       *
+       * ```js
+       * new NGNX.DATA.LevelDBProxy({
+       *   backend: require('memdown')
+       * })
+       * ```
+       */
+      backend: NGN.const(NGN.coalesce(config.backend, null)),
+
+      /**
+       * @cfg {boolean} [closeOnExit=false]
+       * Close the database automatically (see #close) before the process
+       * exits, or when it is interrupted (`SIGINT`) or terminated
+       * (`SIGTERM`). The signal is raised again once the database is closed,
+       * unless the application handles it as well. Without this option, the
+       * application is responsible for closing the database.
+       */
+      closeOnExit: NGN.const(NGN.coalesce(config.closeOnExit, false)),
+
+      /**
+       * @cfg {string} [namespace]
+       * Store data under a key prefix (`\x01<namespace>!<key>`), allowing
+       * several stores/models to share a single LevelDB directory. Saving,
+       * fetching, live synchronization and clearing only apply to keys within
+       * the namespace. Namespaced keys are excluded from the keys of proxies
+       * without a namespace. Proxies using the same directory share one
+       * LevelDB handle. The namespace cannot contain `!`. `prefix` is accepted
+       * as an alias.
+       */
+      namespace: NGN.const(NGN.coalesce(config.namespace, config.prefix, null)),
+
+      /**
+       * @cfg {array} [indexes]
+       * The names of store fields to maintain secondary indexes for. Index
+       * entries are updated within the same batch as the records they
+       * reference. See #findBy and #findRange.
+       */
+      indexes: NGN.const(NGN.coalesce(config.indexes, [])),
+
+      /**
+       * @cfg {string} [layout=document]
+       * The storage layout of store records. The `document` layout stores
+       * each record as a single JSON value (keyed by record ID). The
+       * `exploded` layout stores each field as its own key
+       * (`<id>.<field>`, such as `<id>.pet.name` for nested relationship
+       * fields), so modifying a single field only writes a single key.
+       * Record IDs must not contain a `.` when using the exploded layout.
+       */
+      layout: NGN.const(config.layout === 'exploded' ? 'exploded' : 'document'),
+
+      /**
+       * @cfg {object} [migrations]
+       * Functions which migrate the stored data to a new schema version,
+       * keyed by version number. The schema version of the stored data is
+       * kept in a reserved metadata key. Outstanding migrations are applied
+       * in order, within a single batch, before the first operation
+       * (such as a #fetch) is executed.
+       *
+       * In stores, each migration receives the data and ID of every record.
+       * In models, each migration receives an object containing every stored
+       * field. Migrations may modify the data in place or return new data.
+       * Returning `null` deletes the record (or every field).
+       *
+       * ```js
+       * migrations: {
+       *   2: (record) => {
+       *     record.surname = record.lastname
+       *     delete record.lastname
+       *   },
+       *   3: (record) => {
+       *     record.age = Number(record.age)
+       *   }
+       * }
+       * ```
+       * See #migrate.
+       */
+      migrations: NGN.const(migrations),
+
+      /**
+       * @cfg {number} [version]
+       * The schema version of the data. Defaults to the highest version of
+       * the #migrations (or `1`).
+       */
+      version: NGN.const(NGN.coalesce(config.version, Math.max.apply(null, [1].concat(Object.keys(migrations).map(Number))))),
+
+      /**
+       * @cfg {object} [encryption]
+       * Encrypt stored values using authenticated encryption. Values are
+       * encrypted on every write path (#save, live synchronization, #op)
+       * and decrypted transparently when they are read. Keys are always
+       * stored in plaintext: they identify the records (record IDs and field
+       * names are read from the keys), and range scans, namespaces, record
+       * #order and secondary #indexes depend on their order. Indexed field
+       * values are therefore visible in index keys.
+       * Values which are not encrypted (such as data written before
+       * encryption was enabled) are read as-is. See #rotateKey.
+       *
+       * ```js
+       * encryption: {
+       *   key: crypto.randomBytes(32),
+       *   algorithm: 'aes-256-gcm'
+       * }
+       * ```
+       * @cfg {Buffer|string} encryption.key
+       * The encryption key. Strings are treated as passphrases, which are
+       * derived with scrypt (using a random salt stored in the database).
+       * Passphrases require `crypto.scryptSync` (Node.js 10.5.0 or later).
+       * @cfg {string} [encryption.algorithm=aes-256-gcm]
+       * `aes-256-gcm`, `aes-192-gcm`, `aes-128-gcm` or `chacha20-poly1305`.
+       * @cfg {array} [encryption.previousKeys]
+       * Keys which may still be used by stored values, such as after an
+       * interrupted key rotation.
+       */
+      _keyring: NGN.private(config.encryption ? createKeyring(config.encryption) : null),
+
+      // Resolves once the encryption salt has been read (see #unlock).
+      _unlocking: NGN.private(null),
+
+      // See #transformed.
+      _transformed: NGN.private(null),
+
+      /**
+       * @cfg {string} [compression]
+       * Compress stored values which are larger than the
+       * #compressionThreshold, using `gzip`, `deflate` or `brotli`.
+       * Compressed values are detected when they are read, so a database
+       * may contain a mix of compressed and uncompressed values (such as
+       * data written before compression was enabled). Values are compressed
+       * before they are encrypted (see #encryption). `brotli` requires
+       * Node.js 11.7.0 or later.
+       */
+      compression: NGN.const(NGN.coalesce(config.compression, null)),
+
+      /**
+       * @cfg {number} [compressionThreshold=1024]
+       * The minimum size (in bytes) of an encoded value before it is
+       * compressed. Values which do not become smaller are stored
+       * uncompressed.
+       */
+      compressionThreshold: NGN.const(NGN.coalesce(config.compressionThreshold, 1024)),
+
+      /**
+       * @cfg {object} [liveSync]
+       * Coalesce live synchronization writes. Instead of writing each
+       * change immediately, changes are collected (per key) and written in
+       * a single batch once no changes are made for `debounce`
+       * milliseconds, or once `maxBatch` keys have changed. Only the latest
+       * value of each key is written. The `live.*` events are fired for
+       * every change once the batch is written. See #flush.
+       *
+       * ```js
+       * liveSync: {
+       *   debounce: 50,
+       *   maxBatch: 500
+       * }
+       * ```
+       */
+      liveSync: NGN.const(config.liveSync ? {
+        debounce: NGN.coalesce(config.liveSync.debounce, 0),
+        maxBatch: NGN.coalesce(config.liveSync.maxBatch, Infinity)
+      } : null),
+
+      /**
+       * @cfg {boolean} [changeLog=false]
+       * Append every write made by #save or live synchronization to a
+       * durable change log. Each entry has a sequence number, the
+       * `operation` (`put`, `del` or `clear`), the (unprefixed) `key`, the
+       * `old` and `new` values and a `timestamp`. See #changes and
+       * #compactChanges.
+       */
+      changeLog: NGN.const(NGN.coalesce(config.changeLog, false)),
+
+      /**
+       * @cfg {boolean|object} [history=false]
+       * Keep the prior versions of each store record (or model field)
+       * whenever #save or live synchronization overwrites (or deletes) it.
+       * Versions are listed by #history, and #fetch can load the data as it
+       * was at a point in time (`asOf`). A retention policy limits the
+       * number of versions kept per key:
+       *
+       * ```js
+       * history: {
+       *   maxVersions: 10,              // Per record/field
+       *   maxAge: 90 * 24 * 60 * 60000  // Milliseconds
+       * }
+       * ```
+       * In the exploded #layout, versions are kept per field.
+       */
+      _history: NGN.private(config.history ? {
+        maxVersions: NGN.coalesce(config.history.maxVersions, Infinity),
+        maxAge: NGN.coalesce(config.history.maxAge, Infinity)
+      } : null),
+
+      /**
+       * @cfg {number} [ttl]
+       * The number of milliseconds store records are retained after they
+       * are written. Expired records are excluded from #fetch, #page and
+       * #findRange, and are deleted by the periodic #sweep.
+       */
+      ttl: NGN.const(NGN.coalesce(config.ttl, null)),
+
+      /**
+       * @cfg {string} [expiryField]
+       * A store record field containing the time (a `Date` or a timestamp in
+       * milliseconds) the record expires. This overrides the #ttl of records
+       * with a value.
+       */
+      expiryField: NGN.const(NGN.coalesce(config.expiryField, null)),
+
+      /**
+       * @cfg {number} [sweepInterval=60000]
+       * The number of milliseconds between each #sweep of expired records
+       * (while the database is open). Set this to `0` to disable the
+       * periodic sweep.
+       */
+      sweepInterval: NGN.const(NGN.coalesce(config.sweepInterval, 60000)),
+
+      _sweeper: NGN.private(null),
+
+      /**
+       * @cfg {string} [revisionField]
+       * A numeric store record field containing the revision of the record.
+       * The revision is incremented every time the record is written. Writes
+       * (made by #save or live synchronization) are rejected with a
+       * `LevelDBProxyConflictError`, and a `live.conflict` event is fired,
+       * when the stored revision does not match the revision the record was
+       * loaded with (i.e. another writer modified the record).
+       */
+      revisionField: NGN.const(NGN.coalesce(config.revisionField, null)),
+
+      /**
+       * @cfg {function} [resolveConflict]
+       * Resolves revision conflicts (see #revisionField) instead of rejecting
+       * the write. Receives the conflict: the record `id`, the `local` data
+       * being written (`null` for deletions), the `stored` data (`null` if
+       * the record was deleted), and the `revision` (stored) and `expected`
+       * revisions. Returns (or resolves with) the data to write (`null` to
+       * delete the record), or `false` to reject the write.
+       *
+       * ```js
+       * resolveConflict: (conflict) => Object.assign({}, conflict.stored, conflict.local)
+       * ```
+       */
+      resolveConflict: NGN.const(NGN.coalesce(config.resolveConflict, null)),
+
+      /**
+       * @cfg {boolean} [softDelete=false]
+       * Keep a tombstone of every store record deleted by #save, live
+       * synchronization or clearing the store. Tombstones contain the data
+       * of the record and the time it was deleted. Deleted records are
+       * excluded from #fetch (and every other read), and can be brought back
+       * with #restore and #restoreAll. Tombstones are kept until they are
+       * removed with #purge. Clearing the store does not destroy the
+       * database directory in this mode.
+       */
+      _softDelete: NGN.private(NGN.coalesce(config.softDelete, false)),
+
+      /**
+       * @cfg {boolean} [orderedKeys=false]
+       * Encode the keys of store records so they follow the natural order
+       * of the record IDs: composite IDs (arrays of strings and numbers) are
+       * ordered part by part, before numeric IDs (such as `2` and `10`),
+       * which are ordered numerically, before string IDs. The range options
+       * of #fetch and #page follow the same order. The setting is stored in
+       * the database, and operations are rejected with a
+       * `LevelDBProxyDecodeError` when it does not match, since the existing
+       * records could not be read. To change it, export the data and import
+       * it into a new database (see #exportTo).
+       */
+      orderedKeys: NGN.const(NGN.coalesce(config.orderedKeys, false)),
+
+      /**
+       * @cfg {string} [order=key]
+       * The order of the store records loaded by #fetch: `key` (the order of
+       * the record keys), `sequence` (the order the records were created in)
+       * or the name of an indexed field (see #indexes). The creation order
+       * is only tracked when this is `sequence`, which keeps `store.first`
+       * and `store.last` the same after the records are saved and fetched.
+       * With the default (`key`), they follow the order of the IDs instead.
+       */
+      order: NGN.const(NGN.coalesce(config.order, 'key')),
+
+      // Distinguishes versions (and record creations) written within the
+      // same millisecond.
+      _versionSerial: NGN.private(0),
+      _creationSerial: NGN.private(0),
+
+      // The last change log sequence number (loaded on demand), and the
+      // callbacks waiting for it to be loaded.
+      _sequence: NGN.private(null),
+      _sequenceQueue: NGN.private(null),
+
+      // Live change log streams (see #changes) and watchers (see #watch).
+      _feeds: NGN.private(new Set()),
+      _watchers: NGN.private(new Set()),
+
+      // Coalesced live synchronization changes, by LevelDB key (see #queue).
+      _changes: NGN.private(new Map()),
+      _flushTimer: NGN.private(null),
+
+      // The transformed LevelDB handle (see #handle).
+      _handle: NGN.private(null),
+
+      leveldb: NGN.privateconst(require('levelup')),
+
+      _location: NGN.privateconst(location),
+
+      _db: NGN.private(null),
+      _opening: NGN.private(false),
+      _closing: NGN.private(false),
+      _swapping: NGN.private(false),
+      _activeOperations: NGN.private(0),
+      _openQueue: NGN.private([]),
+      _closeQueue: NGN.private([]),
+      _pendingWrites: NGN.private(0),
+      _idleQueue: NGN.private([]),
+
+      // Records loaded by the most recent #page call.
+      _pagedRecords: NGN.private([]),
+
+      // Schema migration state (see #migrations). The key encoding is
+      // verified (see #checkKeys) by the first operation, even when the
+      // data is not versioned.
+      _versioned: NGN.privateconst(versioned),
+      _migrated: NGN.private(false),
+      _migrating: NGN.private(null),
+
+      // Indicates the proxy is reloading the store (which clears the store
+      // without clearing the database).
+      _reloading: NGN.private(false),
+
+      // Sibling directories used to rewrite the database atomically.
+      _stagingDirectory: NGN.privateconst(location + '.staging'),
+      _committedDirectory: NGN.privateconst(location + '.ready'),
+      _backupDirectory: NGN.privateconst(location + '.backup')
+    })
+  }
+
+  /**
+   * @method registerCodec
+   * Registers a type codec, which stores values of a custom class (or data
+   * type) as JSON and restores them when they are read. Codecs apply to
+   * store records, model fields and nested relationship data. Codecs for
+   * `Date`, `Buffer`, `RegExp`, `Map`, `Set` and `BigInt` are built in.
+   *
+   * ```js
+   * NGNX.DATA.LevelDBProxy.registerCodec(Point, {
+   *   encode: (point) => [point.x, point.y],
+   *   decode: (value) => new Point(value[0], value[1])
+   * })
+   * ```
+   * @param {function} Type
+   * The class (constructor) of the values.
+   * @param {object} codec
+   * @param {function} codec.encode
+   * Receives a value and returns a JSON-compatible representation.
+   * @param {function} codec.decode
+   * Receives the JSON-compatible representation and returns the value.
+   * @param {string} [codec.name]
+   * The name identifying the codec in stored data. Defaults to the name of
+   * the class. Changing the name makes existing data unreadable.
+   * @param {function} [codec.is]
+   * Identifies values handled by the codec. Defaults to an `instanceof`
+   * check.
+   * @static
+   */
+  static registerCodec (Type, codec) {
+    registerCodec(Type, codec || {})
+  }
+
+  /**
+   * @method encodeTyped
+   * Converts the values which have a type codec (see #registerCodec),
+   * including nested values, into the tagged objects stored as JSON, i.e.
+   * `{ "#type": "Date", "value": "2017-..." }`.
+   * @param {any} value
+   * @return {any}
+   * @static
+   */
+  static encodeTyped (value) {
+    return encodeTyped(value)
+  }
+
+  /**
+   * @method decodeTyped
+   * Restores the tagged objects generated by #encodeTyped. Tags of unknown
+   * codecs are left as-is.
+   * @param {any} value
+   * @return {any}
+   * @static
+   */
+  static decodeTyped (value) {
+    return decodeTyped(value)
+  }
+
+  /**
+   * @property {boolean} isOpen
+   * Indicates the LevelDB handle is open and ready for operations.
+   * @readonly
+   */
+  get isOpen () {
+    return this._db !== null && this._db.isOpen()
+  }
+
+  /**
+   * @method open
+   * Open the LevelDB database. A single handle is shared by every operation
+   * for the lifetime of the proxy, so it is rarely necessary to call this
+   * directly (#op opens the database on demand). Requests made while the
+   * database is opening are queued until it is ready.
+   * @param {function} [callback]
+   * Executes when the database is open. Receives an error (or `null`) and
+   * the LevelDB handle.
+   * @fires connection.open
+   * Fired when the database is opened.
+   */
+  open (callback) {
+    if (this.isOpen && !this._closing) {
+      if (NGN.isFn(callback)) {
+        process.nextTick(() => callback(null, this._db))
+      }
+
+      return
+    }
+
+    if (NGN.isFn(callback)) {
+      this._openQueue.push(callback)
+    }
+
+    // A pending close or swap will reopen the database once it completes.
+    if (this._opening || this._closing || this._swapping) {
+      return
+    }
+
+    this._opening = true
+
+    let opened = (err, db) => {
+      this._opening = false
+
+      if (err) {
+        err = /lock/i.test(err.message)
+          ? wrap(LevelDBProxyLockError, 'The LevelDB database (' + NGN.coalesce(this.directory, this._location) + ') is locked.', err)
+          : wrap(LevelDBProxyReadError, 'Failed to open the LevelDB database (' + NGN.coalesce(this.directory, this._location) + ').', err)
+      }
+
+      if (!err) {
+        this._db = db
+
+        if (this.closeOnExit) {
+          connections.add(this)
+          watchProcess()
+        }
+
+        this.schedule()
+        this.emit('connection.open')
+      }
+
+      this._openQueue.splice(0).forEach((fn) => {
+        fn(err || null, err ? null : db)
+      })
+    }
+
+    acquireHandle(this._location, (callback) => {
+      this.recover((err) => {
+        if (err) {
+          return callback(wrap(LevelDBProxyWriteError, 'Failed to recover an interrupted rewrite.', err))
+        }
+
+        this.connect(callback)
+      })
+    }, opened)
+  }
+
+  /**
+   * @method connect
+   * Opens a new LevelDB handle using the #backend.
+   * @param {function} callback
+   * Receives an error (or `null`) and the LevelDB handle.
+   * @private
+   */
+  connect (callback) {
+    if (this.backend === null) {
+      return this.leveldb(this.directory, callback)
+    }
+
+    this.leveldb(NGN.coalesce(this.directory, this._location), {
+      db: this.backend
+    }, callback)
+  }
+
+  /**
+   * @property {boolean} shared
+   * Indicates the LevelDB handle is shared with other proxies.
+   * @readonly
+   * @private
+   */
+  get shared () {
+    let handle = handles.get(this._location)
+
+    return handle !== undefined && handle.references > 1
+  }
+
+  /**
+   * @method toKey
+   * Converts a record ID/field name to a LevelDB key (applying the #namespace
+   * and #orderedKeys).
+   * @param {string} key
+   * @return {string}
+   * @private
+   */
+  toKey (key) {
+    key = idString(key)
+
+    // Metadata keys (and range boundaries) beginning with \x00, \x01 or
+    // \x02 are not record keys.
+    if (this.orderedKeys && this.type === 'store' && key.charCodeAt(0) > 2) {
+      let separator = this.idEnd(key, ']')
+
+      key = separator < 0 ? this.encodeId(key) : this.encodeId(key.substr(0, separator)) + key.substr(separator)
+    }
+
+    // Namespaced keys begin with \x01, which is outside of the record keys
+    // of proxies without a namespace (see #keyRange).
+    return this.namespace === null ? key : '\x01' + this.namespace + '!' + key
+  }
+
+  /**
+   * @method fromKey
+   * Converts a LevelDB key to a record ID/field name (removing the #namespace
+   * and decoding #orderedKeys).
+   * @param {string} key
+   * @return {string}
+   * @private
+   */
+  fromKey (key) {
+    key = this.namespace === null ? key : key.substr(this.namespace.length + 2)
+
+    if (!this.orderedKeys || this.type !== 'store' || key.charCodeAt(0) <= 2) {
+      return key
+    }
+
+    let separator = this.idEnd(key, '\x00\x00')
+
+    return separator < 0 ? this.decodeId(key) : this.decodeId(key.substr(0, separator)) + key.substr(separator)
+  }
+
+  /**
+   * @method idEnd
+   * Identifies the end of the record ID in a key of the exploded #layout
+   * (the first `.` after the ID). Composite IDs (see #encodeId) may contain
+   * dots, so the search starts after the last occurrence of the string
+   * which ends them.
+   * @param {string} key
+   * @param {string} end
+   * The end of a composite ID: `]` or (when encoded) `\x00\x00`.
+   * @return {number}
+   * The position of the separator, or `-1` for keys without a field.
+   * @private
+   */
+  idEnd (key, end) {
+    if (this.layout !== 'exploded') {
+      return -1
+    }
+
+    let composite = key.charAt(0) === '[' || key.charAt(0) === 'c'
+
+    return key.indexOf('.', composite ? Math.max(key.lastIndexOf(end), 0) : 0)
+  }
+
+  /**
+   * @method encodeId
+   * Encodes a record ID so the order of the keys matches the natural order
+   * of the IDs (see #orderedKeys). IDs which are the string representation
+   * of a number are encoded as numbers, and composite IDs (or their JSON
+   * representation) are encoded part by part.
+   * @param {string|number|array} id
+   * @return {string}
+   * @private
+   */
+  encodeId (id) {
+    id = idString(id)
+
+    if (!this.orderedKeys || this.type !== 'store') {
+      return id
+    }
+
+    let parts = idParts(id)
+
+    if (parts !== null) {
+      return encodeParts(parts)
+    }
+
+    let number = Number(id)
+
+    return encodeIndexValue(id !== '' && String(number) === id ? number : id)
+  }
+
+  /**
+   * @method decodeId
+   * Decodes a record ID encoded by #encodeId. Composite IDs are decoded to
+   * their JSON representation. Keys which are not encoded (such as keys
+   * written by an #op) are returned as-is.
+   * @param {string} key
+   * @return {string}
+   * @private
+   */
+  decodeId (key) {
+    if (!this.orderedKeys || this.type !== 'store') {
+      return key
+    }
+
+    if (key.charAt(0) === 'c') {
+      let parts = decodeParts(key)
+
+      return parts === null ? key : JSON.stringify(parts)
+    }
+
+    if (key.charAt(0) !== 'n' && key.charAt(0) !== 's') {
+      return key
+    }
+
+    return String(decodeIndexValue(key))
+  }
+
+  /**
+   * @method metaKey
+   * Generates a reserved (metadata) key, such as an index entry. Metadata
+   * keys begin with `\x00`, so they are stored within the #namespace but
+   * outside of the range of record/field keys.
+   * @param {string} type
+   * The type of metadata.
+   * @param {string} [key]
+   * @return {string}
+   * @private
+   */
+  metaKey (type, key) {
+    return this.toKey('\x00' + type + '!' + NGN.coalesce(key, ''))
+  }
+
+  /**
+   * @method metaRange
+   * Generates LevelDB range options for all metadata keys of a type.
+   * @param {string} type
+   * The type of metadata.
+   * @return {object}
+   * @private
+   */
+  metaRange (type) {
+    return {
+      gte: this.metaKey(type),
+      lt: this.toKey('\x00' + type + '"')
+    }
+  }
+
+  /**
+   * @method indexKey
+   * Generates the key of a secondary index entry.
+   * @param {string} field
+   * The indexed field.
+   * @param {string} value
+   * The encoded value of the field.
+   * @param {string} id
+   * The ID of the record.
+   * @return {string}
+   * @private
+   */
+  indexKey (field, value, id) {
+    return this.metaKey('index', field + '\x00' + value + '\x00' + id)
+  }
+
+  /**
+   * @method indexRange
+   * Generates LevelDB range options for the entries of a secondary index.
+   * One-sided ranges are restricted to values of the same data type as
+   * the boundary.
+   * @param {string} field
+   * The indexed field.
+   * @param {object} [range]
+   * Optional `gt`, `gte`, `lt` and `lte` field values.
+   * @return {object}
+   * @private
+   */
+  indexRange (field, range) {
+    let base = this.metaKey('index', field + '\x00')
+    let result = {}
+    let type = null
+
+    let bound = (value, suffix) => {
+      let encoded = encodeIndexValue(value)
+
+      type = encoded.charAt(0)
+
+      return base + encoded + suffix
+    }
+
+    range = range || {}
+
+    if (range.gt !== undefined && range.gt !== null) {
+      result.gte = bound(range.gt, '\x01')
+    } else if (range.gte !== undefined && range.gte !== null) {
+      result.gte = bound(range.gte, '\x00')
+    }
+
+    if (range.lt !== undefined && range.lt !== null) {
+      result.lt = bound(range.lt, '\x00')
+    } else if (range.lte !== undefined && range.lte !== null) {
+      result.lt = bound(range.lte, '\x01')
+    }
+
+    if (result.gte === undefined) {
+      result.gte = type === null ? base : base + type
+    }
+
+    if (result.lt === undefined) {
+      result.lt = type === null
+        ? this.metaKey('index', field + '\x01')
+        : base + String.fromCharCode(type.charCodeAt(0) + 1)
+    }
+
+    return result
+  }
+
+  /**
+   * @method indexOperations
+   * Generates the batch operations required to update the secondary
+   * #indexes when a store record changes.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} previous
+   * The data of the record before the change (`null` for new records).
+   * @param {object} current
+   * The data of the record after the change (`null` for deleted records).
+   * @param {array} [fields]
+   * The indexed fields to update. Defaults to all #indexes.
+   * @return {array}
+   * @private
+   */
+  indexOperations (id, previous, current, fields) {
+    let operations = []
+
+    if (this.type !== 'store') {
+      return operations
+    }
+
+    let encode = (data, field) => {
+      if (!data || data[field] === undefined || data[field] === null) {
+        return null
+      }
+
+      return encodeIndexValue(data[field])
+    }
+
+    NGN.coalesce(fields, this.indexes).forEach((field) => {
+      let before = encode(previous, field)
+      let after = encode(current, field)
+
+      if (before === after) {
+        return
+      }
+
+      if (before !== null) {
+        operations.push({
+          type: 'del',
+          key: this.indexKey(field, before, id),
+          keyEncoding: 'string'
+        })
+      }
+
+      if (after !== null) {
+        operations.push({
+          type: 'put',
+          key: this.indexKey(field, after, id),
+          value: idString(id),
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        })
+      }
+    })
+
+    return operations
+  }
+
+  /**
+   * @method exclusive
+   * Runs tasks which write to the same key one at a time (including the
+   * tasks of other proxies using the same database).
+   * @param {string} key
+   * @param {function} fn
+   * The task. Receives a function which must be called when the task
+   * is complete.
+   * @private
+   */
+  exclusive (key, fn) {
+    let lock = this._location + '\x00' + key
+
+    if (locks.has(lock)) {
+      locks.get(lock).push(fn)
+      return
+    }
+
+    locks.set(lock, [])
+
+    let run = (task) => {
+      task(() => {
+        let next = locks.get(lock).shift()
+
+        if (next) {
+          run(next)
+        } else {
+          locks.delete(lock)
+        }
+      })
+    }
+
+    run(fn)
+  }
+
+  /**
+   * @method exclusiveRecords
+   * Runs a function exclusively for a set of store records (see #exclusive),
+   * using the same lock as #persist. The locks are acquired in key order, so
+   * writers of overlapping records cannot deadlock.
+   * @param {array} ids
+   * The IDs of the records.
+   * @param {function} fn
+   * Receives an `unlock` function, which must be called once the records
+   * are written.
+   * @private
+   */
+  exclusiveRecords (ids, fn) {
+    let keys = Array.from(new Set(ids.map((id) => this.toKey(id)))).sort()
+    let releases = []
+    let next = 0
+
+    let unlock = () => {
+      releases.splice(0).reverse().forEach((release) => release())
+    }
+
+    // Locks which are free are acquired synchronously, so they are acquired
+    // in a loop (rather than recursively).
+    let acquire = () => {
+      while (next < keys.length) {
+        let waiting = true
+        let acquired = false
+
+        this.exclusive(keys[next++], (release) => {
+          releases.push(release)
+
+          if (waiting) {
+            acquired = true
+          } else {
+            acquire()
+          }
+        })
+
+        waiting = false
+
+        if (!acquired) {
+          return
+        }
+      }
+
+      fn(unlock)
+    }
+
+    acquire()
+  }
+
+  /**
+   * @method persist
+   * Writes (or deletes) a single store record. The secondary #indexes are
+   * updated within the same batch.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} data
+   * The data of the record, or `null` to delete the record.
+   * @param {function} callback
+   * Receives an error (or `null`), the previous data of the record (if it
+   * was retrieved) and the data written (see #recordBatch).
+   * @param {NGN.DATA.Model} [record]
+   * The in-memory record (see #recordBatch).
+   * @private
+   */
+  persist (db, id, data, callback, record) {
+    this.exclusive(this.toKey(id), (unlock) => {
+      this.recordBatch(db, id, data, (err, batch, previous, written) => {
+        if (err) {
+          unlock()
+          return callback(err)
+        }
+
+        this.writeBatch(db, batch, (err) => {
+          unlock()
+          callback(err || null, previous, written)
+        })
+      }, record)
+    })
+  }
+
+  /**
+   * @method recordBatch
+   * Generates the batch operations which write (or delete) a single store
+   * record, including the secondary #indexes, expiry index (see #ttl),
+   * tombstone (see #softDelete) and creation order (see #order).
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} data
+   * The data of the record, or `null` to delete the record.
+   * @param {function} callback
+   * Receives an error (or `null`), the batch operations, the previous data
+   * of the record (if it was retrieved) and the data written (which differs
+   * when the revision is incremented or a conflict is resolved).
+   * @param {NGN.DATA.Model} [record]
+   * The in-memory record. Its current revision (see #revisionField) is
+   * compared with the stored revision. When omitted, the revision of the
+   * data is used (deletions are not checked).
+   * @param {boolean} [permanent=false]
+   * Delete the record without a tombstone (see #softDelete).
+   * @private
+   */
+  recordBatch (db, id, data, callback, record, permanent) {
+    let key = this.toKey(id)
+
+    let write = (stored, data) => {
+      let operations = data === null ? [] : this.recordOperations(id, data)
+      let pending = {}
+      let batch = []
+
+      operations.forEach((operation) => {
+        pending[operation.key] = operation
+      })
+
+      if (this.layout === 'exploded') {
+        // Only write the fields which changed.
+        stored.forEach((item) => {
+          if (!pending[item.key]) {
+            batch.push({
+              type: 'del',
+              key: item.key,
+              keyEncoding: 'string'
+            })
+          } else if (this.encodedValue(pending[item.key]) === item.value) {
+            delete pending[item.key]
+          }
+        })
+      } else if (data === null) {
+        batch.push({
+          type: 'del',
+          key: key,
+          keyEncoding: 'string'
+        })
+      }
+
+      Object.keys(pending).forEach((key) => {
+        batch.push(pending[key])
+      })
+
+      let previous = this.assemble(this.decodeStored(stored))
+      previous = previous.length > 0 ? previous[0].value : null
+
+      let tombstones = permanent === true ? [] : this.tombstoneOperations(id, previous, data)
+
+      callback(null, batch.concat(this.indexOperations(id, previous, data), this.expiryOperations(id, data), tombstones, this.creationOperations(id, previous, data)), previous, data)
+    }
+
+    if (this.indexes.length === 0 && this.layout !== 'exploded' && !this.revised && !this.softDeleting && !this.sequenced) {
+      return write([], data)
+    }
+
+    this.readStored(db, id, (err, stored) => {
+      if (err) {
+        return callback(err)
+      }
+
+      if (!this.revised) {
+        return write(stored, data)
+      }
+
+      this.revise(id, data, stored, record, (err, data) => {
+        if (err) {
+          return callback(err)
+        }
+
+        write(stored, data)
+      })
+    })
+  }
+
+  /**
+   * @property {boolean} revised
+   * Indicates store records have revisions (see #revisionField).
+   * @readonly
+   * @private
+   */
+  get revised () {
+    return this.type === 'store' && this.revisionField !== null
+  }
+
+  /**
+   * @method revise
+   * Compares the revision of a record being written with the stored
+   * revision (see #revisionField), resolving conflicts with
+   * #resolveConflict.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} data
+   * The data being written (`null` to delete the record).
+   * @param {array} stored
+   * The raw stored keys and values of the record (see #readStored).
+   * @param {NGN.DATA.Model} [record]
+   * The in-memory record.
+   * @param {function} callback
+   * Receives an error (or `null`) and the data to write, including the
+   * incremented revision (`null` to delete the record).
+   * @private
+   */
+  revise (id, data, stored, record, callback) {
+    let field = this.revisionField
+    let previous = this.assemble(this.decodeStored(stored))
+
+    previous = previous.length > 0 ? previous[0].value : null
+
+    let revision = previous === null ? 0 : NGN.coalesce(previous[field], 0)
+    let expected = revision
+
+    if (record) {
+      expected = NGN.coalesce(record[field], 0)
+    } else if (data !== null) {
+      expected = NGN.coalesce(data[field], 0)
+    }
+
+    let accept = (data) => {
+      callback(null, data === null ? null : Object.assign({}, data, {
+        [field]: revision + 1
+      }))
+    }
+
+    if (expected === revision) {
+      return accept(data)
+    }
+
+    let conflict = {
+      id: idString(id),
+      local: data,
+      stored: previous,
+      revision: revision,
+      expected: expected
+    }
+
+    let reject = () => {
+      let error = LevelDBProxyConflictError('The record ' + id + ' was modified (revision ' + revision + ') since it was loaded (revision ' + expected + ').')
+      error.conflict = conflict
+
+      callback(error)
+    }
+
+    if (!NGN.isFn(this.resolveConflict)) {
+      return reject()
+    }
+
+    Promise.resolve().then(() => this.resolveConflict(conflict)).then((resolved) => {
+      if (resolved === false || resolved === undefined) {
+        return reject()
+      }
+
+      accept(resolved)
+    }, (err) => callback(wrap(LevelDBProxyConflictError, 'Failed to resolve the conflict of ' + id + '.', err)))
+  }
+
+  /**
+   * @method revision
+   * Applies the data written for an in-memory record (see #recordBatch) to
+   * the record, without firing events (or persisting it again). This keeps
+   * the revision (see #revisionField) of the record current.
+   * @param {NGN.DATA.Model} record
+   * @param {object} data
+   * The data written.
+   * @private
+   */
+  revision (record, data) {
+    if (!this.revised || !record || !data) {
+      return
+    }
+
+    Object.keys(data).forEach((field) => {
+      if (record.hasOwnProperty(field) && record[field] !== data[field] && typeof data[field] !== 'object') {
+        record.setSilent(field, data[field])
+      }
+    })
+  }
+
+  /**
+   * @method readStored
+   * Retrieve the raw (undecoded) keys and values of a single store record.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {string} id
+   * The ID of the record.
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of `{ key, value }` objects.
+   * The array is empty when the record does not exist.
+   * @private
+   */
+  readStored (db, id, callback) {
+    let key = this.toKey(id)
+
+    if (this.layout !== 'exploded') {
+      db.get(key, {
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, (err, value) => {
+        if (err && !err.notFound) {
+          return callback(wrapRead('Failed to read ' + key + '.', err))
+        }
+
+        callback(null, err ? [] : [{ key: key, value: value }])
+      })
+
+      return
+    }
+
+    let stored = []
+
+    // '/' is the character following '.', so this bounds every field of the record.
+    db.createReadStream({
+      gt: this.toKey(id) + '.',
+      lt: this.toKey(id) + '/',
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }).on('data', (item) => {
+      stored.push(item)
+    })
+    .on('error', (err) => {
+      callback(wrapRead('Failed to read ' + key + '.', err))
+    })
+    .on('end', () => {
+      callback(null, stored)
+    })
+  }
+
+  /**
+   * @method decodeStored
+   * Decodes the raw values retrieved by #readStored. Values which cannot
+   * be decoded are ignored.
+   * @param {array} stored
+   * The `{ key, value }` objects retrieved by #readStored.
+   * @return {array}
+   * The `{ key, value }` objects with unprefixed keys and decoded values.
+   * @private
+   */
+  decodeStored (stored) {
+    let items = []
+
+    stored.forEach((item) => {
+      try {
+        items.push({
+          key: this.fromKey(item.key),
+          value: decodeTyped(JSON.parse(item.value))
+        })
+      } catch (e) {}
+    })
+
+    return items
+  }
+
+  /**
+   * @method findBy
+   * Load the store records with a specific field value, using a
+   * secondary index (see #indexes). The store is reloaded with the
+   * matching records.
+   *
+   * ```js
+   * proxy.findBy('lastname', 'Doctor').then((records) => { ... })
+   * ```
+   * @param {string} field
+   * The indexed field.
+   * @param {any} value
+   * The value to find.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and an array of the matching record data.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves with
+   * the matching record data.
+   */
+  findBy (field, value, callback) {
+    return this.findRange(field, {
+      gte: value,
+      lte: value
+    }, callback)
+  }
+
+  /**
+   * @method findRange
+   * Load the store records with a field value within a range, using a
+   * secondary index (see #indexes). The store is reloaded with the
+   * matching records, ordered by the field value.
+   *
+   * ```js
+   * proxy.findRange('age', { gte: 18, lt: 65 }).then((records) => { ... })
+   * ```
+   * @param {string} field
+   * The indexed field.
+   * @param {object} range
+   * The `gt`, `gte`, `lt` and/or `lte` field values. When only a lower or
+   * upper boundary is provided, only values of the same data type match.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and an array of the matching record data.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves with
+   * the matching record data.
+   * @fires error
+   * Fired when the lookup fails.
+   */
+  findRange (field, range, callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.findRange(field, range, (err, records) => err ? reject(err) : resolve(records))
+      })
+    }
+
+    let fail = (err, key) => {
+      this.raise({
+        operation: 'findRange',
+        key: NGN.coalesce(key, field),
+        error: err
+      }, callback)
+    }
+
+    if (this.indexes.indexOf(field) < 0) {
+      return fail(LevelDBProxyReadError(field + ' is not an indexed field.'))
+    }
+
+    this.op((db, done) => {
+      let ids = []
+
+      db.createValueStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, this.indexRange(field, range))).on('data', (id) => {
+        ids.push(id)
+      })
+      .on('error', (err) => {
+        done()
+        fail(wrapRead('Failed to read the ' + field + ' index.', err))
+      })
+      .on('end', () => {
+        // Stale index entries (of deleted records) are ignored.
+        this.readUnexpired(db, { keys: ids }, (err, records) => {
+          done()
+
+          if (err) {
+            return fail(err)
+          }
+
+          this.loadRecords(records)
+          callback(null, records.map((item) => item.value))
+        })
+      })
+    }).catch(fail)
+  }
+
+  /**
+   * @method rebuildIndex
+   * Rebuild secondary indexes from the records stored in LevelDB. This is
+   * useful after adding an index to a proxy with existing data.
+   * @param {string} [field]
+   * The indexed field to rebuild. Defaults to all #indexes.
+   * @param {function} [callback]
+   * Receives an error (or `null`).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * when the index is rebuilt.
+   * @fires error
+   * Fired when the rebuild fails.
+   */
+  rebuildIndex (field, callback) {
+    if (NGN.isFn(field)) {
+      callback = field
+      field = null
+    }
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.rebuildIndex(field, (err) => err ? reject(err) : resolve())
+      })
+    }
+
+    let fields = field ? [field] : this.indexes
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'rebuildIndex',
+        key: field,
+        error: err
+      }, callback)
+    }
+
+    this.op((db, done) => {
+      let batch = []
+
+      // Remove the existing entries.
+      let steps = fields.map((field) => {
+        return (next) => {
+          db.createKeyStream(this.indexRange(field)).on('data', (key) => {
+            batch.push({
+              type: 'del',
+              key: key,
+              keyEncoding: 'string'
+            })
+          })
+          .on('error', next)
+          .on('end', () => next())
+        }
+      })
+
+      // Index every stored record.
+      steps.push((next) => {
+        this.readRecords(db, {}, (err, records) => {
+          if (err) {
+            return next(err)
+          }
+
+          records.forEach((item) => {
+            batch = batch.concat(this.indexOperations(item.key, null, item.value, fields))
+          })
+
+          next()
+        })
+      })
+
+      series(steps, (err) => {
+        if (err) {
+          done()
+          return fail(wrapRead('Failed to read the stored records.', err))
+        }
+
+        db.batch(batch, (err) => {
+          done()
+
+          if (err) {
+            return fail(wrap(LevelDBProxyWriteError, 'Failed to write the index.', err))
+          }
+
+          callback(null)
+        })
+      })
+    }).catch(fail)
+  }
+
+  /**
+   * @property {boolean} expiring
+   * Indicates store records expire (see #ttl and #expiryField).
+   * @readonly
+   * @private
+   */
+  get expiring () {
+    return this.type === 'store' && (this.ttl !== null || this.expiryField !== null)
+  }
+
+  /**
+   * @method expiryOf
+   * Identifies the time a store record expires.
+   * @param {object} data
+   * The data of the record (or `null`).
+   * @return {number}
+   * The expiry time in milliseconds, or `null` if the record does not expire.
+   * @private
+   */
+  expiryOf (data) {
+    if (data === null) {
+      return null
+    }
+
+    if (this.expiryField !== null && data[this.expiryField] !== undefined && data[this.expiryField] !== null) {
+      let time = new Date(data[this.expiryField]).getTime()
+
+      if (!isNaN(time)) {
+        return time
+      }
+    }
+
+    return this.ttl === null ? null : Date.now() + this.ttl
+  }
+
+  /**
+   * @method expiryKey
+   * Generates the key of an expiry index entry. Entries are ordered by
+   * the expiry time.
+   * @param {number} time
+   * The expiry time.
+   * @param {string} [id]
+   * The ID of the record. When omitted, the key is the first possible key
+   * of the time (for use in ranges).
+   * @return {string}
+   * @private
+   */
+  expiryKey (time, id) {
+    return this.metaKey('expiry', ('000000000000000' + time).slice(-15) + (id === undefined ? '' : '\x00' + id))
+  }
+
+  /**
+   * @method expiryOperations
+   * Generates the batch operations required to update the expiry index
+   * when a store record changes. Each record also has an `expires` entry
+   * containing its current expiry time. Index entries which no longer match
+   * it are stale, and are removed by #sweep.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} data
+   * The data of the record after the change (`null` for deleted records).
+   * @param {number} [expires]
+   * The stored expiry time of an unchanged record, which is kept instead
+   * of being recomputed (see #retainedExpiries).
+   * @return {array}
+   * @private
+   */
+  expiryOperations (id, data, expires) {
+    if (!this.expiring) {
+      return []
+    }
+
+    let time = data === null ? null : NGN.coalesce(expires, this.expiryOf(data))
+
+    if (time === null) {
+      return [{
+        type: 'del',
+        key: this.metaKey('expires', id),
+        keyEncoding: 'string'
+      }]
+    }
+
+    return [{
+      type: 'put',
+      key: this.expiryKey(time, id),
+      value: idString(id),
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, {
+      type: 'put',
+      key: this.metaKey('expires', id),
+      value: time.toString(),
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }]
+  }
+
+  /**
+   * @method readExpired
+   * Retrieve the expiry index entries up to a point in time.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {number} time
+   * @param {number} limit
+   * The maximum number of entries to retrieve (`-1` for all).
+   * @param {function} callback
+   * Receives an error (or `null`), an array of `{ key, id }` objects
+   * identifying the expired records, an array of stale entry keys, and the
+   * number of entries read.
+   * @private
+   */
+  readExpired (db, time, limit, callback) {
+    let entries = []
+
+    db.createReadStream({
+      gte: this.metaKey('expiry'),
+      lt: this.expiryKey(time + 1),
+      limit: limit,
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }).on('data', (item) => {
+      entries.push({
+        key: item.key,
+        id: item.value
+      })
+    })
+    .on('error', (err) => callback(wrapRead('Failed to read the expiry index.', err)))
+    .on('end', () => {
+      let expired = []
+      let stale = []
+
+      series(entries.map((entry) => {
+        return (next) => {
+          db.get(this.metaKey('expires', entry.id), {
+            keyEncoding: 'string',
+            valueEncoding: 'utf8'
+          }, (err, value) => {
+            if (err && !err.notFound) {
+              return next(wrapRead('Failed to read the expiry of ' + entry.id + '.', err))
+            }
+
+            if (!err && this.expiryKey(value, entry.id) === entry.key) {
+              expired.push(entry)
+            } else {
+              stale.push(entry.key)
+            }
+
+            next()
+          })
+        }
+      }), (err) => {
+        callback(err || null, expired, stale, entries.length)
+      })
+    })
+  }
+
+  /**
+   * @method readUnexpired
+   * Retrieve store records identified by the #fetch options (see
+   * #readRecords), excluding expired records.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {object} options
+   * The #fetch options.
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of `{ key, value }` objects.
+   * @private
+   */
+  readUnexpired (db, options, callback) {
+    this.readRecords(db, options, (err, records) => {
+      if (err) {
+        return callback(err)
+      }
+
+      this.filterExpired(db, records, callback)
+    })
+  }
+
+  /**
+   * @method filterExpired
+   * Removes expired records from the records retrieved by #readRecords.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} records
+   * `{ key, value }` objects, where the key is the record ID.
+   * @param {function} callback
+   * Receives an error (or `null`) and the unexpired records.
+   * @private
+   */
+  filterExpired (db, records, callback) {
+    if (!this.expiring || records.length === 0) {
+      return callback(null, records)
+    }
+
+    this.readExpired(db, Date.now(), -1, (err, expired) => {
+      if (err) {
+        return callback(err)
+      }
+
+      let ids = new Set(expired.map((entry) => entry.id))
+
+      callback(null, records.filter((item) => !ids.has(item.key)))
+    })
+  }
+
+  /**
+   * @method schedule
+   * Starts the periodic #sweep of expired records.
+   * @private
+   */
+  schedule () {
+    if (!this.expiring || this.sweepInterval <= 0 || this._sweeper !== null) {
+      return
+    }
+
+    this._sweeper = setInterval(() => {
+      if (!this._closing && !this._swapping) {
+        this.sweep().catch(() => {})
+      }
+    }, this.sweepInterval)
+
+    // The sweep does not keep the process running.
+    if (NGN.isFn(this._sweeper.unref)) {
+      this._sweeper.unref()
+    }
+  }
+
+  /**
+   * @method sweep
+   * Delete the expired store records (see #ttl and #expiryField), in
+   * batches of 500 records. This happens periodically while the database
+   * is open (see #sweepInterval). Expired records are removed from the
+   * store as well, and a `live.delete` event is fired for each of them.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the number of deleted records.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the number of deleted records.
+   * @fires live.delete
+   * Fired with each expired record removed from the store.
+   * @fires error
+   * Fired when the sweep fails.
+   */
+  sweep (callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.sweep((err, count) => err ? reject(err) : resolve(count))
+      })
+    }
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'sweep',
+        error: err
+      }, callback)
+    }
+
+    if (!this.expiring) {
+      return process.nextTick(() => callback(null, 0))
+    }
+
+    let now = Date.now()
+    let count = 0
+
+    let pass = () => {
+      this.op((db, done) => {
+        // Sweeps are written one at a time (like coalesced changes).
+        this.exclusive(this.metaKey('flush'), (unlock) => {
+          let finish = (err) => {
+            unlock()
+            done()
+
+            if (err) {
+              return fail(err)
+            }
+
+            callback(null, count)
+          }
+
+          this.readExpired(db, now, 500, (err, expired, stale, read) => {
+            if (err) {
+              return finish(err)
+            }
+
+            let batch = stale.concat(expired.map((entry) => entry.key)).map((key) => {
+              return {
+                type: 'del',
+                key: key,
+                keyEncoding: 'string'
+              }
+            })
+
+            series(expired.map((entry) => {
+              return (next) => {
+                // Expired records are deleted permanently (see #softDelete).
+                this.recordBatch(db, entry.id, null, (err, operations) => {
+                  batch = batch.concat(operations || [])
+                  next(err)
+                }, undefined, true)
+              }
+            }), (err) => {
+              if (err) {
+                return finish(err)
+              }
+
+              this.writeBatch(db, batch, (err) => {
+                if (err) {
+                  return finish(wrap(LevelDBProxyWriteError, 'Failed to delete the expired records.', err))
+                }
+
+                count += expired.length
+                this.drop(expired.map((entry) => entry.id))
+
+                if (read < 500) {
+                  return finish()
+                }
+
+                unlock()
+                done()
+                pass()
+              })
+            })
+          })
+        })
+      }).catch(fail)
+    }
+
+    pass()
+  }
+
+  /**
+   * @method drop
+   * Remove deleted records from the store (without persisting the removal),
+   * firing a `live.delete` event for each of them.
+   * @param {array} ids
+   * The IDs of the deleted records.
+   * @private
+   */
+  drop (ids) {
+    ids = new Set(ids)
+
+    let records = this.store._data.filter((record) => {
+      let id = record[record.idAttribute]
+
+      return id !== null && id !== undefined && ids.has(idString(id))
+    })
+
+    if (records.length === 0) {
+      return
+    }
+
+    this.evict(records)
+
+    setTimeout(() => {
+      records.forEach((record) => {
+        this.emit('live.delete', record)
+        this.store.emit('live.delete', record)
+      })
+    }, 10)
+  }
+
+  /**
+   * @property {boolean} softDeleting
+   * Indicates deleted store records are tombstoned (see #softDelete).
+   * @readonly
+   * @private
+   */
+  get softDeleting () {
+    return this.type === 'store' && this._softDelete === true
+  }
+
+  /**
+   * @method tombstoneOperations
+   * Generates the batch operations required to tombstone a deleted store
+   * record (see #softDelete), or to remove the tombstone of a record which
+   * is created again.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} previous
+   * The stored data of the record before the change (`null` for new
+   * records).
+   * @param {object} data
+   * The data of the record after the change (`null` for deleted records).
+   * @return {array}
+   * @private
+   */
+  tombstoneOperations (id, previous, data) {
+    if (!this.softDeleting) {
+      return []
+    }
+
+    if (data === null && previous !== null) {
+      return [{
+        type: 'put',
+        key: this.metaKey('tombstone', id),
+        value: {
+          deleted: Date.now(),
+          value: previous
+        },
+        keyEncoding: 'string',
+        valueEncoding: 'json'
+      }]
+    }
+
+    if (data !== null && previous === null) {
+      return [{
+        type: 'del',
+        key: this.metaKey('tombstone', id),
+        keyEncoding: 'string'
+      }]
+    }
+
+    return []
+  }
+
+  /**
+   * @method restore
+   * Restores a soft deleted store record (see #softDelete). The record is
+   * written again (replacing any record created with the same ID since it
+   * was deleted), its tombstone is removed, and it is loaded into the store.
+   *
+   * ```js
+   * proxy.restore('a').then((data) => { ... })
+   * ```
+   * @param {string|number|array} id
+   * The ID of the record (see #orderedKeys for composite IDs).
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the data of the restored record
+   * (`null` when the record has no tombstone).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves with
+   * the data of the restored record.
+   * @fires restore
+   * Fired with an array containing the data of the restored records.
+   * @fires error
+   * Fired when the record cannot be restored.
+   */
+  restore (id, callback) {
+    // NGN.inherit copies this method onto the store, where it replaces the
+    // store's own restore method (for records archived in memory).
+    if (this instanceof NGN.DATA.Store) {
+      return NGN.DATA.Store.prototype.restore.apply(this, arguments)
+    }
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.restore(id, (err, data) => err ? reject(err) : resolve(data))
+      })
+    }
+
+    let key = this.metaKey('tombstone', idString(id))
+
+    this.revive({ gte: key, lte: key }, null, (err, restored) => {
+      if (err) {
+        return this.raise({
+          operation: 'restore',
+          key: id,
+          error: err
+        }, callback)
+      }
+
+      setTimeout(() => {
+        this.emit('restore', restored)
+        this.store.emit('restore', restored)
+        callback(null, restored.length > 0 ? restored[0] : null)
+      }, 10)
+    })
+  }
+
+  /**
+   * @method restoreAll
+   * Restores every soft deleted store record (see #softDelete and
+   * #restore).
+   *
+   * ```js
+   * // Undo an accidental store.clear()
+   * proxy.restoreAll({ since: Date.now() - 60000 })
+   * ```
+   * @param {object} [options]
+   * @param {Date|number} [options.since]
+   * Only restore records deleted at (or after) this time.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and an array containing the data of the
+   * restored records.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves with
+   * the data of the restored records.
+   * @fires restore
+   * Fired with an array containing the data of the restored records.
+   * @fires error
+   * Fired when the records cannot be restored.
+   */
+  restoreAll (options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.restoreAll(options, (err, restored) => err ? reject(err) : resolve(restored))
+      })
+    }
+
+    let since = NGN.coalesce(options.since, null)
+
+    this.revive(this.metaRange('tombstone'), since instanceof Date ? since.getTime() : since, (err, restored) => {
+      if (err) {
+        return this.raise({
+          operation: 'restoreAll',
+          error: err
+        }, callback)
+      }
+
+      setTimeout(() => {
+        this.emit('restore', restored)
+        this.store.emit('restore', restored)
+        callback(null, restored)
+      }, 10)
+    })
+  }
+
+  /**
+   * @method revive
+   * Writes the records of the tombstones within a range (see #restore),
+   * within a single batch, and loads them into the store. Restored records
+   * are written as new records, so their revision (see #revisionField)
+   * starts over.
+   * @param {object} range
+   * LevelDB range options for the tombstone keys.
+   * @param {number} since
+   * Only restore records deleted at (or after) this time (`null` for all).
+   * @param {function} callback
+   * Receives an error (or `null`) and an array containing the data of the
+   * restored records.
+   * @private
+   */
+  revive (range, since, callback) {
+    if (!this.softDeleting) {
+      return process.nextTick(() => callback(null, []))
+    }
+
+    let prefix = this.metaKey('tombstone')
+
+    this.op((db, done) => {
+      // Restores are written one at a time (like coalesced changes).
+      this.exclusive(this.metaKey('flush'), (unlock) => {
+        let finish = (err, restored) => {
+          unlock()
+          done()
+          callback(err || null, restored)
+        }
+
+        let tombstones = []
+
+        db.createReadStream(Object.assign({
+          keyEncoding: 'string',
+          valueEncoding: 'json'
+        }, range)).on('data', (item) => {
+          if (since === null || item.value.deleted >= since) {
+            tombstones.push(item)
+          }
+        })
+        .on('error', (err) => {
+          finish(wrapRead('Failed to read the tombstones.', err))
+        })
+        .on('end', () => {
+          let batch = []
+          let restored = []
+
+          series(tombstones.map((tombstone) => {
+            return (next) => {
+              let id = tombstone.key.substr(prefix.length)
+              let data = Object.assign({}, tombstone.value.value)
+
+              if (this.revised) {
+                delete data[this.revisionField]
+              }
+
+              this.recordBatch(db, id, data, (err, operations, previous, written) => {
+                batch = batch.concat(operations || [], [{
+                  type: 'del',
+                  key: tombstone.key,
+                  keyEncoding: 'string'
+                }])
+
+                restored.push({
+                  key: id,
+                  value: written
+                })
+
+                next(err)
+              })
+            }
+          }), (err) => {
+            if (err || batch.length === 0) {
+              return finish(err, [])
+            }
+
+            this.writeBatch(db, batch, (err) => {
+              if (err) {
+                return finish(wrap(LevelDBProxyWriteError, 'Failed to restore the records.', err))
+              }
+
+              this.loadRecords(restored, 'merge')
+              finish(null, restored.map((item) => item.value))
+            })
+          })
+        })
+      })
+    }).catch(callback)
+  }
+
+  /**
+   * @method purge
+   * Permanently deletes the tombstones of soft deleted store records (see
+   * #softDelete). Purged records can no longer be restored.
+   *
+   * ```js
+   * // Purge the records deleted more than 30 days ago.
+   * proxy.purge({ olderThan: Date.now() - 30 * 24 * 60 * 60000 })
+   * ```
+   * @param {object} [options]
+   * @param {Date|number} [options.olderThan]
+   * Only purge the tombstones of records deleted before this time. When
+   * omitted, every tombstone is purged.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the number of purged tombstones.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves with
+   * the number of purged tombstones.
+   * @fires error
+   * Fired when the tombstones cannot be purged.
+   */
+  purge (options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.purge(options, (err, count) => err ? reject(err) : resolve(count))
+      })
+    }
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'purge',
+        error: err
+      }, callback)
+    }
+
+    if (!this.softDeleting) {
+      return process.nextTick(() => callback(null, 0))
+    }
+
+    let olderThan = NGN.coalesce(options.olderThan, null)
+
+    olderThan = olderThan instanceof Date ? olderThan.getTime() : olderThan
+
+    this.op((db, done) => {
+      let batch = []
+
+      db.createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'json'
+      }, this.metaRange('tombstone'))).on('data', (item) => {
+        if (olderThan === null || item.value.deleted < olderThan) {
+          batch.push({
+            type: 'del',
+            key: item.key,
+            keyEncoding: 'string'
+          })
+        }
+      })
+      .on('error', (err) => {
+        done()
+        fail(wrapRead('Failed to read the tombstones.', err))
+      })
+      .on('end', () => {
+        if (batch.length === 0) {
+          done()
+          return callback(null, 0)
+        }
+
+        this.writeBatch(db, batch, (err) => {
+          done()
+
+          if (err) {
+            return fail(wrap(LevelDBProxyWriteError, 'Failed to purge the tombstones.', err))
+          }
+
+          callback(null, batch.length)
+        })
+      })
+    }).catch(fail)
+  }
+
+  /**
+   * @method keyRange
+   * Generates LevelDB range options for record/field keys, restricted
+   * to the #namespace. Metadata keys (see #metaKey) and, without a
+   * namespace, the keys of namespaced proxies are excluded.
+   * @param {object} [range]
+   * Optional `gt`, `gte`, `lt` and `lte` boundaries (record IDs/field names).
+   * @return {object}
+   * @private
+   */
+  keyRange (range) {
+    let result = {}
+
+    range = range || {}
+
+    ;['gt', 'gte', 'lt', 'lte'].forEach((boundary) => {
+      if (range[boundary] !== undefined && range[boundary] !== null) {
+        result[boundary] = this.toKey(range[boundary])
+      }
+    })
+
+    if (result.gt === undefined && result.gte === undefined) {
+      result.gte = this.toKey('\x02')
+    }
+
+    if (this.namespace !== null && result.lt === undefined && result.lte === undefined) {
+      result.lt = this.namespaceRange().lt
+    }
+
+    return result
+  }
+
+  /**
+   * @method namespaceRange
+   * Generates LevelDB range options for every key (including metadata)
+   * within the #namespace. Without a namespace, the range also includes
+   * the keys of namespaced proxies (see #ownsKey).
+   * @return {object}
+   * @private
+   */
+  namespaceRange () {
+    if (this.namespace === null) {
+      return {}
+    }
+
+    // '"' is the character following '!', so this bounds every key in the namespace.
+    return {
+      gte: '\x01' + this.namespace + '!',
+      lt: '\x01' + this.namespace + '"'
+    }
+  }
+
+  /**
+   * @method ownsKey
+   * Indicates a key within the #namespaceRange belongs to the proxy (as
+   * opposed to a namespaced proxy sharing the directory).
+   * @param {string} key
+   * The LevelDB key.
+   * @return {boolean}
+   * @private
+   */
+  ownsKey (key) {
+    return this.namespace !== null || key.charAt(0) !== '\x01'
+  }
+
+  /**
+   * @method recover
+   * Detects and completes (or rolls back) a full rewrite that was
+   * interrupted, such as when the process crashes during a #save.
+   * This runs automatically before the database is opened.
+   *
+   * - An uncommitted staging database is discarded.
+   * - A committed staging database replaces the live database.
+   * - A leftover backup is removed, or restored when the live
+   *   database is missing.
+   *
+   * Other #backend types are rewritten in place, so there is nothing to
+   * recover.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  recover (callback) {
+    if (this.backend !== null) {
+      return callback(null)
+    }
+
+    const fs = require('fs')
+    const leveldown = require('leveldown')
+
+    let steps = []
+    let step = (fn) => steps.push(fn)
+
+    if (fs.existsSync(this._stagingDirectory)) {
+      step((next) => leveldown.destroy(this._stagingDirectory, next))
+    }
+
+    if (fs.existsSync(this._committedDirectory)) {
+      if (fs.existsSync(this.directory) && fs.existsSync(this._backupDirectory)) {
+        step((next) => leveldown.destroy(this._backupDirectory, next))
+      }
+
+      step((next) => this.swap(next))
+    } else if (fs.existsSync(this._backupDirectory)) {
+      if (fs.existsSync(this.directory)) {
+        step((next) => leveldown.destroy(this._backupDirectory, next))
+      } else {
+        step((next) => fs.rename(this._backupDirectory, this.directory, next))
+      }
+    }
+
+    series(steps, callback)
+  }
+
+  /**
+   * @method swap
+   * Replaces the live database with the committed staging database.
+   * The live database is moved to a backup directory before the swap
+   * and removed afterward. The LevelDB handle must be closed.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  swap (callback) {
+    const fs = require('fs')
+
+    let replace = () => {
+      fs.rename(this._committedDirectory, this.directory, (err) => {
+        if (err) {
+          return callback(err)
+        }
+
+        require('leveldown').destroy(this._backupDirectory, (err) => {
+          callback(err || null)
+        })
+      })
+    }
+
+    if (!fs.existsSync(this.directory)) {
+      return replace()
+    }
+
+    fs.rename(this.directory, this._backupDirectory, (err) => {
+      if (err) {
+        return callback(err)
+      }
+
+      replace()
+    })
+  }
+
+  /**
+   * @method rewrite
+   * Atomically replaces the entire database with the current dataset.
+   * The data is written to a staging database, which is committed by
+   * renaming it once the batch is complete. The committed database is
+   * then swapped into place. If the process fails before the swap completes,
+   * the database is recovered the next time it is opened.
+   *
+   * When the proxy uses a #namespace or another #backend, or the LevelDB
+   * handle is shared with other proxies, the directory cannot be replaced.
+   * Instead, every key in the namespace is removed and the dataset is
+   * rewritten within a single (atomic) batch.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  rewrite (callback) {
+    if (this.namespace !== null || this.shared || this.backend !== null) {
+      this.op((db, done) => {
+        this.diff(db, this.operations(), (err, batch) => {
+          if (err) {
+            done()
+            return callback(err)
+          }
+
+          this.writeBatch(db, batch, (err) => {
+            done()
+            callback(err || null)
+          })
+        }, true)
+      }).catch(callback)
+
+      return
+    }
+
+    const leveldown = require('leveldown')
+
+    let steps = []
+    let step = (fn) => steps.push(fn)
+    let metadata = []
+    let entries = []
+    let expires = new Map()
+
+    // Discard any leftover staging database.
+    step((next) => leveldown.destroy(this._stagingDirectory, next))
+
+    // Retain the metadata (such as the schema version). Index and expiry
+    // entries are regenerated from the dataset, and the creation order (see
+    // #order) is regenerated from the order of the store.
+    step((next) => {
+      this.op((db, done) => {
+        let regenerated = ['index', 'expiry', 'expires', 'created'].map((type) => this.metaKey(type))
+
+        db.createReadStream({
+          gte: this.toKey('\x00'),
+          lt: this.toKey('\x01'),
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        }).on('data', (item) => {
+          if (!regenerated.some((prefix) => item.key.indexOf(prefix) === 0)) {
+            metadata.push({
+              type: 'put',
+              key: item.key,
+              value: item.value,
+              keyEncoding: 'string',
+              valueEncoding: 'utf8'
+            })
+          }
+        })
+        .on('error', (err) => {
+          done()
+          next(err)
+        })
+        .on('end', () => {
+          if (!this.changeLog && this._history === null && this._watchers.size === 0 && !this.softDeleting) {
+            done()
+            return next()
+          }
+
+          // Log the changes made by the rewrite (and the prior versions),
+          // and tombstone the removed records.
+          this.diff(db, this.operations(), (err, batch) => {
+            if (err) {
+              done()
+              return next(err)
+            }
+
+            let tombstones = this.metaKey('tombstone')
+
+            metadata = metadata.concat(batch.filter((operation) => operation.type === 'put' && operation.key.indexOf(tombstones) === 0))
+
+            this.journal(db, batch, (err, operations, logged) => {
+              done()
+
+              metadata = metadata.concat(operations || [])
+              entries = logged || []
+              next(err)
+            })
+          })
+        })
+      }).catch(next)
+    })
+
+    // Keep the expiry of the records which are unchanged (see #ttl).
+    if (this.expiring) {
+      step((next) => {
+        this.op((db, done) => {
+          this.retainedExpiries(db, this.operations(), (err, retained) => {
+            done()
+            expires = retained
+            next(err)
+          })
+        }).catch(next)
+      })
+    }
+
+    // Write the complete dataset to the staging database.
+    step((next) => {
+      this.leveldb(this._stagingDirectory, (err, db) => {
+        if (err) {
+          return next(err)
+        }
+
+        let operations = this.operations()
+        let entries = this.indexChanges(operations, [], operations, expires)
+
+        this.handle(db).batch(metadata.concat(operations, entries), { journaled: true }, (err) => {
+          db.close((closeErr) => {
+            next(err || closeErr)
+          })
+        })
+      })
+    })
+
+    // Commit the staging database.
+    step((next) => require('fs').rename(this._stagingDirectory, this._committedDirectory, next))
+
+    // Release the live database and swap. Operations requested in the
+    // meantime are queued until the swap is complete.
+    step((next) => {
+      this._swapping = true
+      this.close(next)
+    })
+
+    step((next) => {
+      if (handles.has(this._location)) {
+        return leveldown.destroy(this._committedDirectory, () => {
+          next(LevelDBProxyLockError('The LevelDB database (' + this.directory + ') was opened by another proxy during the rewrite.'))
+        })
+      }
+
+      this.swap(next)
+    })
+
+    series(steps, (err) => {
+      this._swapping = false
+
+      if (this._openQueue.length > 0) {
+        this.open()
+      }
+
+      if (err) {
+        // The logged entries were not committed, so their sequence numbers
+        // are released.
+        this._sequence = null
+        return callback(err)
+      }
+
+      this.publish(entries)
+      this.notify(entries, () => callback(null))
+    })
+  }
+
+  /**
+   * @method close
+   * Close the LevelDB database. Operations that are still running (and
+   * pending #liveSync changes) are allowed to finish before the handle is
+   * released. Subsequent operations reopen the database automatically.
+   * @param {function} [callback]
+   * Executes when the database is closed. Receives an error (or `null`).
+   * @fires connection.close
+   * Fired when the database is closed.
+   */
+  close (callback) {
+    // Write coalesced live synchronization changes first.
+    if (this._changes.size > 0) {
+      this.commit((err, detail) => {
+        this.close(callback)
+        this.committed(err, detail)
+      })
+
+      return
+    }
+
+    if (this._opening) {
+      this.open(() => this.close(callback))
+      return
+    }
+
+    if (!this.isOpen) {
+      if (NGN.isFn(callback)) {
+        process.nextTick(() => callback(null))
+      }
+
+      return
+    }
+
+    if (NGN.isFn(callback)) {
+      this._closeQueue.push(callback)
+    }
+
+    if (this._closing) {
+      return
+    }
+
+    this._closing = true
+
+    if (this._activeOperations === 0) {
+      this.release()
+    }
+  }
+
+  /**
+   * @method release
+   * Releases the LevelDB handle once all active operations are complete.
+   * @private
+   */
+  release () {
+    clearInterval(this._sweeper)
+    this._sweeper = null
+
+    releaseHandle(this._location, (err) => {
+      this._db = null
+      this._closing = false
+      connections.delete(this)
+
+      this.emit('connection.close')
+
+      this._closeQueue.splice(0).forEach((fn) => {
+        fn(err || null)
+      })
+
+      // Operations requested while closing reopen the database.
+      if (this._openQueue.length > 0) {
+        this.open()
+      }
+    })
+  }
+
+  /**
+   * @method op
+   * Run an operation against the LevelDB database. The database is opened
+   * automatically if necessary.
+   *
+   * ```js
+   * proxy.op((db, done) => {
+   *   db.get('key', (err, value) => {
+   *     done()
+   *   })
+   * })
+   *
+   * let value = await proxy.op((db) => new Promise((resolve, reject) => {
+   *   db.get('key', (err, value) => err ? reject(err) : resolve(value))
+   * }))
+   * ```
+   * @param {function} fn
+   * The operation. Receives the LevelDB handle and a `done` function, which
+   * must be called when the operation is complete. Alternatively, the
+   * operation may return a promise, in which case the operation is complete
+   * when the promise is settled.
+   * @return {Promise}
+   * Resolves when the operation is complete (with the value of the promise
+   * returned by the operation, if any). Rejects if the database cannot be
+   * opened, the operation throws an error, or the promise returned by the
+   * operation is rejected.
+   */
+  op (fn) {
+    if (this._migrated) {
+      return this.run(fn)
+    }
+
+    return this.upgrade().then(() => this.run(fn))
+  }
+
+  /**
+   * @method run
+   * Executes an operation (see #op) without waiting for outstanding
+   * #migrations.
+   * @param {function} fn
+   * The operation.
+   * @return {Promise}
+   * @private
+   */
+  run (fn) {
+    return this.unlock().then(() => new Promise((resolve, reject) => {
+      this.open((err, db) => {
+        if (err) {
+          return reject(err)
+        }
+
+        let complete = false
+
+        this._activeOperations++
+
+        let finish = () => {
+          if (complete) {
+            return false
+          }
+
+          complete = true
+          this._activeOperations--
+
+          if (this._activeOperations === 0 && this._closing) {
+            this.release()
+          }
+
+          return true
+        }
+
+        let result
+
+        try {
+          result = fn(this.handle(db), () => {
+            finish() && resolve()
+          })
+        } catch (e) {
+          finish()
+          return reject(e)
+        }
+
+        if (result && NGN.isFn(result.then)) {
+          result.then((value) => {
+            finish()
+            resolve(value)
+          }, (err) => {
+            finish()
+            reject(err)
+          })
+        }
+      })
+    }))
+  }
+
+  /**
+   * @method trackWrite
+   * Tracks a live synchronization write until it is complete.
+   * @return {function}
+   * Call this function when the write is complete.
+   * @private
+   */
+  trackWrite () {
+    let complete = false
+
+    this._pendingWrites++
+
+    return () => {
+      if (complete) {
+        return
+      }
+
+      complete = true
+      this._pendingWrites--
+
+      if (this._pendingWrites === 0) {
+        this._idleQueue.splice(0).forEach((resolve) => {
+          resolve()
+        })
+      }
+    }
+  }
+
+  /**
+   * @method ready
+   * Wait for all pending live synchronization writes to be persisted.
+   *
+   * ```js
+   * store.add({ firstname: 'The', lastname: 'Doctor' })
+   * await store.proxy.ready()
+   * ```
+   * @return {Promise}
+   * Resolves when there are no pending writes.
+   */
+  ready () {
+    return new Promise((resolve) => {
+      if (this._pendingWrites === 0) {
+        return resolve()
+      }
+
+      this._idleQueue.push(resolve)
+    })
+  }
+
+  /**
+   * @method writeBatch
+   * Writes a batch, appending an entry to the change log (see #changeLog)
+   * and the prior version (see #history) of each record (or field) it
+   * modifies. The changes are reported to the watchers (see #watch) once
+   * the batch is written. With a change log, batches are journaled one at
+   * a time (see #inSequence), so entries are written and published in the
+   * order of their sequence numbers.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} batch
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  writeBatch (db, batch, callback) {
+    this.inSequence((unlock) => {
+      this.journal(db, batch, (err, operations, changes) => {
+        if (err) {
+          unlock(err)
+          return callback(err)
+        }
+
+        db.batch(batch.concat(operations), { journaled: true }, (err) => {
+          if (err) {
+            unlock(err)
+            return callback(err)
+          }
+
+          this.publish(changes)
+          unlock()
+          this.notify(changes, () => callback(null))
+        })
+      })
+    })
+  }
+
+  /**
+   * @method inSequence
+   * Runs a task which assigns change log sequence numbers (see #changeLog)
+   * exclusively. The task receives an `unlock` function, which must be
+   * called with the outcome of the write. When the write fails, the
+   * sequence numbers it used are released (the sequence is read from the
+   * log again), so failed batches leave no gaps.
+   * @param {function} task
+   * @private
+   */
+  inSequence (task) {
+    if (!this.changeLog) {
+      return task(() => {})
+    }
+
+    this.exclusive(this.metaKey('changes'), (release) => {
+      task((err) => {
+        if (err) {
+          this._sequence = null
+        }
+
+        release()
+      })
+    })
+  }
+
+  /**
+   * @method journal
+   * Generates the change log entries (see #changeLog) and prior versions
+   * (see #history) of the keys modified by a batch, and identifies the
+   * changes reported to the watchers (see #watch).
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} batch
+   * @param {function} callback
+   * Receives an error (or `null`), the operations which append the log
+   * entries and versions, and the changes (see #readChanges). The changes
+   * are the log entries when the #changeLog is enabled.
+   * @private
+   */
+  journal (db, batch, callback) {
+    if (!this.changeLog && this._history === null && this._watchers.size === 0) {
+      return callback(null, [], [])
+    }
+
+    let changes = []
+    let stored = []
+
+    series([
+      (next) => this.readChanges(db, batch, (err, result, raw) => {
+        changes = result
+        stored = raw
+        next(err)
+      }),
+      (next) => changes.length > 0 && this.changeLog ? this.readSequence(db, next) : next()
+    ], (err) => {
+      if (err) {
+        return callback(err)
+      }
+
+      if (this.changeLog) {
+        changes = changes.map((change) => Object.assign({ sequence: ++this._sequence }, change))
+      }
+
+      let versions = changes.map((change, index) => {
+        return {
+          key: change.key,
+          value: change.old,
+          exists: stored[index] !== null,
+          to: change.timestamp
+        }
+      })
+
+      this.versionOperations(db, versions, (err, operations) => {
+        if (err) {
+          return callback(err)
+        }
+
+        let entries = this.changeLog ? changes.map((entry) => this.changeOperation(entry)) : []
+
+        callback(null, entries.concat(operations), changes)
+      })
+    })
+  }
+
+  /**
+   * @method readChanges
+   * Identifies the record (or field) keys modified by a batch, along with
+   * their old and new values. Metadata keys (such as index entries), keys
+   * outside of the #namespace and keys which do not change are ignored.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} batch
+   * @param {function} callback
+   * Receives an error (or `null`), an array of `{ operation, key, old,
+   * new, timestamp }` objects (with unprefixed keys), and an array of the
+   * raw stored values of each change (`null` for new keys).
+   * @private
+   */
+  readChanges (db, batch, callback) {
+    let range = this.keyRange()
+    let operations = batch.filter((operation) => {
+      let key = String(operation.key)
+
+      return key >= range.gte && (range.lt === undefined || key < range.lt)
+    })
+
+    if (operations.length === 0) {
+      return callback(null, [], [])
+    }
+
+    let stored = []
+
+    series(operations.map((operation, index) => {
+      return (next) => {
+        db.get(operation.key, {
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        }, (err, value) => {
+          if (err && !err.notFound) {
+            return next(wrapRead('Failed to read ' + operation.key + '.', err))
+          }
+
+          stored[index] = err ? null : value
+          next()
+        })
+      }
+    }), (err) => {
+      if (err) {
+        return callback(err)
+      }
+
+      let now = Date.now()
+      let changes = []
+      let raw = []
+
+      operations.forEach((operation, index) => {
+        if (operation.type === 'put' ? this.encodedValue(operation) === stored[index] : stored[index] === null) {
+          return
+        }
+
+        let key = this.fromKey(String(operation.key))
+
+        changes.push({
+          operation: operation.type,
+          key: key,
+          old: this.decodeValue(key, stored[index]),
+          new: operation.type === 'put' && operation.value !== '#NIL' ? operation.value : null,
+          timestamp: now
+        })
+
+        raw.push(stored[index])
+      })
+
+      callback(null, changes, raw)
+    })
+  }
+
+  /**
+   * @method versionOperations
+   * Generates the operations which store prior versions (see #history),
+   * including the removal of versions which exceed the retention policy.
+   * Only the versions affected by the policy are read: those older than
+   * `maxAge` and the newest `maxVersions`.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} versions
+   * `{ key, value, exists, to }` objects, where `exists` is `false` when
+   * the key did not exist before `to`.
+   * @param {function} callback
+   * Receives an error (or `null`) and the batch operations.
+   * @private
+   */
+  versionOperations (db, versions, callback) {
+    if (this._history === null || versions.length === 0) {
+      return callback(null, [])
+    }
+
+    let operations = []
+    let policy = this._history
+
+    // Removes a version and its entry in the replacement order.
+    let remove = (key) => {
+      operations.push({
+        type: 'del',
+        key: key,
+        keyEncoding: 'string'
+      }, {
+        type: 'del',
+        key: this.replacedKey(key),
+        keyEncoding: 'string'
+      })
+    }
+
+    let scan = (range, removed, next) => {
+      db.createKeyStream(Object.assign({
+        keyEncoding: 'string'
+      }, range)).on('data', removed)
+      .on('error', (err) => next(wrapRead('Failed to read the versions.', err)))
+      .on('end', () => next())
+    }
+
+    series(versions.map((version) => {
+      return (next) => {
+        let key = this.versionKey(version.key, version.to)
+        let range = this.versionRange(version.key)
+        let expired = new Set()
+
+        operations.push({
+          type: 'put',
+          key: key,
+          value: version,
+          keyEncoding: 'string',
+          valueEncoding: 'json'
+        }, {
+          type: 'put',
+          key: this.replacedKey(key),
+          value: '',
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        })
+
+        let steps = []
+
+        // Versions are ordered by the time they were replaced, so the
+        // expired versions precede the cutoff.
+        if (policy.maxAge !== Infinity) {
+          steps.push((done) => scan({
+            gt: range.gt,
+            lt: this.metaKey('history', version.key + '\x00' + this.timestamp(version.to - policy.maxAge))
+          }, (item) => {
+            expired.add(item)
+            remove(item)
+          }, done))
+        }
+
+        // The new version is retained with the newest `maxVersions - 1`
+        // versions. A lowered limit is applied as versions are written.
+        if (policy.maxVersions !== Infinity) {
+          let retained = 1
+
+          steps.push((done) => scan(Object.assign({
+            reverse: true,
+            limit: policy.maxVersions + 1
+          }, range), (item) => {
+            if (++retained > policy.maxVersions && !expired.has(item)) {
+              remove(item)
+            }
+          }, done))
+        }
+
+        series(steps, next)
+      }
+    }), (err) => callback(err, err ? null : operations))
+  }
+
+  /**
+   * @method versionKey
+   * Generates the key of a prior version (see #history). Versions of a key
+   * are ordered by the time they were replaced, followed by a serial number
+   * which does not wrap (like the change log sequence), so versions
+   * replaced within the same millisecond keep their order.
+   * @param {string} key
+   * The (unprefixed) record/field key.
+   * @param {number} time
+   * The time the version was replaced.
+   * @return {string}
+   * @private
+   */
+  versionKey (key, time) {
+    let serial = ('0000000000000000' + this._versionSerial++).slice(-16)
+
+    return this.metaKey('history', key + '\x00' + this.timestamp(time) + serial)
+  }
+
+  /**
+   * @method replacedKey
+   * Generates the key which orders a prior version (see #versionKey) by
+   * the time it was replaced, across all records. As-of reads (see #fetch)
+   * only read the versions replaced after the requested time.
+   * @param {string} versionKey
+   * @return {string}
+   * @private
+   */
+  replacedKey (versionKey) {
+    let version = versionKey.substr(this.metaKey('history').length)
+    let separator = version.lastIndexOf('\x00')
+
+    return this.metaKey('replaced', version.substr(separator + 1) + '\x00' + version.substr(0, separator))
+  }
+
+  /**
+   * @method timestamp
+   * Pads a time (in milliseconds) so that times are ordered as strings.
+   * @param {number} time
+   * @return {string}
+   * @private
+   */
+  timestamp (time) {
+    return ('000000000000000' + Math.max(time, 0)).slice(-15)
+  }
+
+  /**
+   * @method versionRange
+   * Generates LevelDB range options for the prior versions of a key.
+   * @param {string} key
+   * The (unprefixed) record/field key.
+   * @return {object}
+   * @private
+   */
+  versionRange (key) {
+    return {
+      gt: this.metaKey('history', key + '\x00'),
+      lt: this.metaKey('history', key + '\x01')
+    }
+  }
+
+  /**
+   * @method history
+   * Lists the prior versions of a store record (or model field), from the
+   * oldest to the newest (see the #history configuration).
+   *
+   * ```js
+   * proxy.history('a').then((versions) => {
+   *   versions.forEach((version) => console.log(version.from, version.to, version.value))
+   * })
+   * ```
+   * @param {string|number|array} id
+   * The record ID (or model field). In the exploded #layout, versions are
+   * kept per field (i.e. `<id>.<field>`).
+   * @param {function} [callback]
+   * Receives an error (or `null`) and an array of `{ value, from, to }`
+   * objects, where `from` and `to` are the times (in milliseconds) the
+   * version was written and replaced. `from` is `null` when the version
+   * predates the history.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the versions.
+   * @fires error
+   * Fired when the versions cannot be read.
+   */
+  history (id, callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.history(id, (err, versions) => err ? reject(err) : resolve(versions))
+      })
+    }
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'history',
+        key: id,
+        error: err
+      }, callback)
+    }
+
+    this.op((db, done) => {
+      let versions = []
+      let from = null
+
+      db.createValueStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'json'
+      }, this.versionRange(idString(id)))).on('data', (version) => {
+        if (version.exists) {
+          versions.push({
+            value: version.value,
+            from: from,
+            to: version.to
+          })
+        }
+
+        from = version.to
+      })
+      .on('error', (err) => {
+        done()
+        fail(wrapRead('Failed to read the versions of ' + id + '.', err))
+      })
+      .on('end', () => {
+        done()
+        callback(null, versions)
+      })
+    }).catch(fail)
+  }
+
+  /**
+   * @method readAsOf
+   * Retrieve the data as it was at a point in time, by replacing the
+   * current values with the prior versions which were current at that time
+   * (see #history).
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {Date|number} time
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of `{ key, value }` objects
+   * (unprefixed keys and decoded values), ordered by key.
+   * @private
+   */
+  readAsOf (db, time, callback) {
+    let stamps = new Map()
+    let versions = new Map()
+
+    time = time instanceof Date ? time.getTime() : time
+
+    // The oldest version replaced after the time was current at the time.
+    db.createKeyStream({
+      gte: this.metaKey('replaced', this.timestamp(time + 1)),
+      lt: this.metaRange('replaced').lt,
+      keyEncoding: 'string'
+    }).on('data', (item) => {
+      let entry = item.substr(this.metaKey('replaced').length)
+      let separator = entry.indexOf('\x00')
+      let key = entry.substr(separator + 1)
+
+      if (!stamps.has(key)) {
+        stamps.set(key, entry.substr(0, separator))
+      }
+    })
+    .on('error', (err) => callback(wrapRead('Failed to read the versions.', err)))
+    .on('end', () => {
+      series(Array.from(stamps.keys()).map((key) => {
+        return (next) => {
+          db.get(this.metaKey('history', key + '\x00' + stamps.get(key)), {
+            keyEncoding: 'string',
+            valueEncoding: 'json'
+          }, (err, version) => {
+            if (err) {
+              return next(wrapRead('Failed to read the versions of ' + key + '.', err))
+            }
+
+            versions.set(this.toKey(key), {
+              key: key,
+              version: version
+            })
+
+            next()
+          })
+        }
+      }), (err) => {
+        if (err) {
+          return callback(err)
+        }
+
+        this.mergeVersions(db, versions, callback)
+      })
+    })
+  }
+
+  /**
+   * @method mergeVersions
+   * Streams the current values, replacing the values of the keys which
+   * were modified after an as-of time (see #readAsOf) with their prior
+   * versions. Keys which were removed since are inserted in key order.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {Map} versions
+   * `{ key, version }` objects (unprefixed keys and stored versions), by
+   * LevelDB key.
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of `{ key, value }` objects.
+   * @private
+   */
+  mergeVersions (db, versions, callback) {
+    let pending = Array.from(versions.keys()).sort()
+    let items = []
+
+    let restore = (key) => {
+      let entry = versions.get(key)
+
+      if (entry.version.exists) {
+        items.push({
+          key: entry.key,
+          value: entry.version.value
+        })
+      }
+    }
+
+    db.createReadStream(Object.assign({
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, this.keyRange())).on('data', (item) => {
+      while (pending.length > 0 && pending[0] < item.key) {
+        restore(pending.shift())
+      }
+
+      if (pending.length > 0 && pending[0] === item.key) {
+        return restore(pending.shift())
+      }
+
+      let key = this.fromKey(item.key)
+
+      items.push({
+        key: key,
+        value: this.decodeValue(key, item.value)
+      })
+    })
+    .on('error', (err) => callback(wrapRead('Failed to read the data.', err)))
+    .on('end', () => {
+      pending.forEach(restore)
+      callback(null, items)
+    })
+  }
+
+  /**
+   * @method readSequence
+   * Loads the last change log sequence number (once).
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  readSequence (db, callback) {
+    if (this._sequence !== null) {
+      return callback(null)
+    }
+
+    if (this._sequenceQueue !== null) {
+      return this._sequenceQueue.push(callback)
+    }
+
+    this._sequenceQueue = [callback]
+
+    let sequence = 0
+    let finish = (err) => {
+      if (!err) {
+        this._sequence = sequence
+      }
+
+      this._sequenceQueue.splice(0).forEach((fn) => fn(err || null))
+      this._sequenceQueue = null
+    }
+
+    db.createKeyStream(Object.assign({
+      keyEncoding: 'string',
+      reverse: true,
+      limit: 1
+    }, this.metaRange('changes'))).on('data', (key) => {
+      sequence = parseInt(key.substr(this.metaKey('changes').length), 10)
+    })
+    .on('error', (err) => finish(wrapRead('Failed to read the change log.', err)))
+    .on('end', () => finish())
+  }
+
+  /**
+   * @method changeOperation
+   * Generates the `put` operation which appends an entry to the change log.
+   * Sequence numbers are zero-padded, so the log is ordered by sequence.
+   * @param {object} entry
+   * @return {object}
+   * @private
+   */
+  changeOperation (entry) {
+    return {
+      type: 'put',
+      key: this.metaKey('changes', ('0000000000000000' + entry.sequence).slice(-16)),
+      value: entry,
+      keyEncoding: 'string',
+      valueEncoding: 'json'
+    }
+  }
+
+  /**
+   * @method decodeValue
+   * Decodes a raw stored record (or model field) value.
+   * @param {string} key
+   * The (unprefixed) key.
+   * @param {string} value
+   * The raw value (or `null`).
+   * @return {any}
+   * @private
+   */
+  decodeValue (key, value) {
+    if (value === null || value === '#NIL') {
+      return null
+    }
+
+    if (this.type === 'model' && (this.fields.hasOwnProperty(key) || this.joins.hasOwnProperty(key))) {
+      let type = this.getFieldType(key)
+
+      return type === 'json' ? decodeTyped(JSON.parse(value)) : this.decodeField(key, type, value)
+    }
+
+    try {
+      return decodeTyped(JSON.parse(value))
+    } catch (e) {
+      // Model strings are stored without JSON encoding.
+      return value
+    }
+  }
+
+  /**
+   * @method publish
+   * Delivers new change log entries to live #changes streams.
+   * @param {array} entries
+   * @private
+   */
+  publish (entries) {
+    if (this.changeLog && entries.length > 0) {
+      this._feeds.forEach((feed) => feed(entries))
+    }
+  }
+
+  /**
+   * @method notify
+   * Delivers committed changes to the watchers (see #watch).
+   * @param {array} changes
+   * The changes (see #readChanges) or change log entries.
+   * @param {function} callback
+   * Executes once every watcher has capacity for more changes (see the
+   * `highWaterMark` option of #watch).
+   * @private
+   */
+  notify (changes, callback) {
+    let full = []
+
+    this._watchers.forEach((watcher) => {
+      watcher.push(changes.filter((change) => watcher.matches(change)))
+
+      if (watcher.full) {
+        full.push(watcher)
+      }
+    })
+
+    series(full.map((watcher) => (next) => watcher.drain(next)), () => callback())
+  }
+
+  /**
+   * @method watch
+   * Subscribe to the changes of records (or model fields) once they are
+   * written, whether they are written by #save, live synchronization (see
+   * #enableLiveSync) or an operation (see #op).
+   *
+   * ```js
+   * let watcher = proxy.watch({ prefix: 'user:' }, (change) => {
+   *   console.log(change.operation, change.key, change.old, change.new)
+   * })
+   *
+   * watcher.unwatch()
+   * ```
+   * @param {string|object|function} [filter]
+   * A record ID (or field name), an object with a key `prefix` and/or `gt`,
+   * `gte`, `lt` and `lte` key boundaries, or a function which receives the
+   * record (the new value, or the old value of deleted records) and the key,
+   * returning `true` to accept the change. When omitted, every change is
+   * accepted. In the exploded #layout, keys identify fields
+   * (i.e. `<id>.<field>`).
+   * @param {function} handler
+   * Receives each change: an object containing the `operation` (`put` or
+   * `del`), the (unprefixed) `key`, the `old` and `new` values and a
+   * `timestamp`. Changes are delivered one at a time, in the order they
+   * were written. Handlers may return a promise to delay the delivery of
+   * the next change until it is settled.
+   * @param {object} [options]
+   * @param {number} [options.highWaterMark=1000]
+   * The maximum number of undelivered changes. Writes wait (before their
+   * callback executes) until a slow handler catches up. Handlers should not
+   * wait for writes of the same proxy.
+   * @return {object}
+   * The subscription, with an `unwatch()` method and the number of
+   * undelivered changes (`pending`).
+   * @fires error
+   * Fired when a handler throws an error (or its promise rejects).
+   */
+  watch (filter, handler, options) {
+    if (NGN.isFn(filter) && !NGN.isFn(handler)) {
+      options = handler
+      handler = filter
+      filter = null
+    }
+
+    let watcher = createWatcher(filter, handler, options || {}, (err, change) => {
+      this.raise({
+        operation: 'watch',
+        key: change.key,
+        record: change,
+        error: err
+      })
+    })
+
+    watcher.onclose = () => this._watchers.delete(watcher)
+    this._watchers.add(watcher)
+
+    return watcher.subscription
+  }
+
+  /**
+   * @method changes
+   * Streams the entries of the change log (see #changeLog), in sequence
+   * order. Live streams continue to receive new entries once the existing
+   * entries are replayed, until they are destroyed.
+   *
+   * ```js
+   * let feed = proxy.changes({ since: 42, live: true })
+   *
+   * feed.on('data', (change) => {
+   *   console.log(change.sequence, change.operation, change.key, change.old, change.new)
+   * })
+   *
+   * feed.destroy()
+   * ```
+   * @param {object} [options]
+   * @param {number} [options.since=0]
+   * Only stream entries with a greater sequence number.
+   * @param {boolean} [options.live=false]
+   * Continue streaming new entries.
+   * @return {stream.Readable}
+   * An object mode stream of change log entries.
+   */
+  changes (options) {
+    options = options || {}
+
+    const Readable = require('stream').Readable
+
+    let last = NGN.coalesce(options.since, 0)
+    let replaying = true
+    let buffered = []
+
+    let push = (entry) => {
+      if (entry.sequence > last) {
+        last = entry.sequence
+        stream.push(entry)
+      }
+    }
+
+    let feed = (entries) => {
+      if (replaying) {
+        buffered = buffered.concat(entries)
+      } else {
+        entries.forEach(push)
+      }
+    }
+
+    let stream = new Readable({
+      objectMode: true,
+      read: () => {},
+      destroy: (err, callback) => {
+        this._feeds.delete(feed)
+        callback(err)
+      }
+    })
+
+    if (!this.changeLog) {
+      process.nextTick(() => stream.destroy(LevelDBProxyReadError('The change log is not enabled.')))
+      return stream
+    }
+
+    if (options.live) {
+      this._feeds.add(feed)
+    }
+
+    this.op((db, done) => {
+      db.createValueStream({
+        gt: this.changeOperation({ sequence: last }).key,
+        lt: this.metaRange('changes').lt,
+        keyEncoding: 'string',
+        valueEncoding: 'json'
+      }).on('data', push)
+      .on('error', (err) => {
+        done()
+        stream.destroy(wrapRead('Failed to read the change log.', err))
+      })
+      .on('end', () => {
+        done()
+        replaying = false
+        buffered.splice(0).forEach(push)
+
+        if (!options.live) {
+          stream.push(null)
+        }
+      })
+    }).catch((err) => stream.destroy(err))
+
+    return stream
+  }
+
+  /**
+   * @method compactChanges
+   * Removes the change log entries up to (and including) a sequence number.
+   * @param {number} sequence
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the number of removed entries.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the number of removed entries.
+   * @fires error
+   * Fired when the log cannot be compacted.
+   */
+  compactChanges (sequence, callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.compactChanges(sequence, (err, count) => err ? reject(err) : resolve(count))
+      })
+    }
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'compactChanges',
+        error: err
+      }, callback)
+    }
+
+    this.op((db, done) => {
+      let batch = []
+
+      db.createKeyStream({
+        gte: this.metaRange('changes').gte,
+        lte: this.changeOperation({ sequence: sequence }).key,
+        keyEncoding: 'string'
+      }).on('data', (key) => {
+        batch.push({
+          type: 'del',
+          key: key,
+          keyEncoding: 'string'
+        })
+      })
+      .on('error', (err) => {
+        done()
+        fail(wrapRead('Failed to read the change log.', err))
+      })
+      .on('end', () => {
+        db.batch(batch, (err) => {
+          done()
+
+          if (err) {
+            return fail(wrap(LevelDBProxyWriteError, 'Failed to compact the change log.', err))
+          }
+
+          callback(null, batch.length)
+        })
+      })
+    }).catch(fail)
+  }
+
+  /**
+   * @method queue
+   * Collects a live synchronization change when writes are coalesced
+   * (see #liveSync). Only the latest data of each key is written.
+   * @param {string} id
+   * The record ID (or model field).
+   * @param {any} data
+   * The record data (or `{ value, type }` for model fields), or `null` to
+   * delete the key.
+   * @param {string} event
+   * The event fired once the change is written.
+   * @param {any} payload
+   * The event payload.
+   * @private
+   */
+  queue (id, data, event, payload) {
+    let key = this.toKey(id)
+    let change = this._changes.get(key)
+
+    if (!change) {
+      change = {
+        id: id,
+        events: [],
+        written: []
+      }
+
+      this._changes.set(key, change)
+    }
+
+    change.data = data
+    change.events.push({
+      name: event,
+      payload: payload
+    })
+    change.written.push(this.trackWrite())
+
+    clearTimeout(this._flushTimer)
+
+    let commit = () => {
+      this.commit((err, detail) => this.committed(err, detail))
+    }
+
+    if (this._changes.size >= this.liveSync.maxBatch) {
+      this._flushTimer = null
+      commit()
+    } else {
+      this._flushTimer = setTimeout(commit, this.liveSync.debounce)
+    }
+  }
+
+  /**
+   * @method flush
+   * Writes the pending (coalesced) live synchronization changes in a single
+   * batch, without waiting for the #liveSync debounce period.
+   *
+   * ```js
+   * store.proxy.flush().then(() => { ... })
+   * ```
+   * @param {function} [callback]
+   * Receives an error (or `null`).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * once the changes are written.
+   * @fires live.create
+   * Fired for each created record (or field).
+   * @fires live.update
+   * Fired for each updated record (or field).
+   * @fires live.delete
+   * Fired for each deleted record (or field).
+   * @fires live.conflict
+   * Fired for each record rejected because of a revision conflict (see
+   * #revisionField). The other changes are written.
+   */
+  flush (callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.flush((err) => err ? reject(err) : resolve())
+      })
+    }
+
+    this.commit((err, detail) => {
+      if (err) {
+        return this.raise(detail, callback)
+      }
+
+      callback(null)
+    })
+  }
+
+  /**
+   * @method commit
+   * Writes the pending (coalesced) live synchronization changes.
+   * @param {function} callback
+   * Receives an error (or `null`) and the error detail (see #raise).
+   * @private
+   */
+  commit (callback) {
+    let changes = Array.from(this._changes.values())
+
+    clearTimeout(this._flushTimer)
+    this._flushTimer = null
+    this._changes.clear()
+
+    if (changes.length === 0) {
+      return process.nextTick(() => callback(null, null))
+    }
+
+    let written = () => {
+      changes.forEach((change) => {
+        change.written.forEach((fn) => fn())
+      })
+    }
+
+    let fail = (err) => {
+      let error = wrap(LevelDBProxyWriteError, 'Failed to persist the pending changes.', err)
+
+      written()
+      callback(error, {
+        operation: 'flush',
+        record: changes.map((change) => change.id),
+        error: error
+      })
+    }
+
+    this.op((db, done) => {
+      // Flushes are written one at a time, so the stored data used to
+      // generate the index entries is current. The records are locked
+      // against other live writes (see #persist).
+      this.exclusive(this.metaKey('flush'), (unlockFlush) => this.exclusiveRecords(changes.map((change) => change.id), (unlockRecords) => {
+        let batch = []
+        let conflicts = []
+
+        let unlock = () => {
+          unlockRecords()
+          unlockFlush()
+        }
+
+        series(changes.map((change) => {
+          return (next) => {
+            this.changeBatch(db, change, (err, operations, previous, data) => {
+              // Conflicting changes (see #revisionField) are rejected
+              // without affecting the rest of the batch.
+              if (err && err.conflict) {
+                change.conflict = err
+                conflicts.push(change)
+                return next()
+              }
+
+              change.result = data
+              batch = batch.concat(operations || [])
+              next(err)
+            })
+          }
+        }), (err) => {
+          if (err) {
+            unlock()
+            done()
+            return fail(err)
+          }
+
+          this.writeBatch(db, batch, (err) => {
+            if (!err) {
+              changes.forEach((change) => this.revision(change.record, change.result))
+            }
+
+            unlock()
+            done()
+
+            if (err) {
+              return fail(err)
+            }
+
+            setTimeout(() => {
+              changes.forEach((change) => {
+                if (change.conflict) {
+                  this.emit('live.conflict', change.conflict.conflict)
+                  this.store.emit('live.conflict', change.conflict.conflict)
+                  return
+                }
+
+                change.events.forEach((event) => {
+                  this.emit(event.name, event.payload)
+                  this.store.emit(event.name, event.payload)
+                })
+              })
+
+              written()
+
+              if (conflicts.length > 0) {
+                return callback(conflicts[0].conflict, {
+                  operation: 'flush',
+                  record: conflicts.map((change) => change.id),
+                  error: conflicts[0].conflict
+                })
+              }
+
+              callback(null, null)
+            }, 10)
+          })
+        })
+      }))
+    }).catch(fail)
+  }
+
+  /**
+   * @method committed
+   * Reports the outcome of a #commit nobody is waiting for (such as a
+   * debounced write). Failures are only emitted as `error` events (see
+   * #raise), since there is no caller to return them to.
+   * @param {Error} err
+   * The error (or `null`).
+   * @param {object} detail
+   * The error detail.
+   * @private
+   */
+  committed (err, detail) {
+    if (err) {
+      this.raise(detail)
+    }
+  }
+
+  /**
+   * @method changeBatch
+   * Generates the batch operations of a coalesced change (see #queue).
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {object} change
+   * @param {function} callback
+   * Receives an error (or `null`) and the batch operations. For stores, it
+   * also receives the previous data and the data written (see #recordBatch).
+   * @private
+   */
+  changeBatch (db, change, callback) {
+    if (this.type === 'store') {
+      change.record = change.events[change.events.length - 1].payload
+
+      return this.recordBatch(db, change.id, change.data, callback, change.record)
+    }
+
+    if (change.data === null) {
+      return callback(null, [{
+        type: 'del',
+        key: this.toKey(change.id),
+        keyEncoding: 'string'
+      }])
+    }
+
+    callback(null, [{
+      type: 'put',
+      key: this.toKey(change.id),
+      value: change.data.value,
+      keyEncoding: 'string',
+      valueEncoding: change.data.type
+    }])
+  }
+
+  flatten (key, value) {
+    return {
+      type: 'put',
+      key: idString(key),
+      value: value,
+      keyEncoding: 'string',
+      valueEncoding: 'json'
+    }
+  }
+
+  format (data) {
+    let results = []
+
+    if (data) {
+      if (Array.isArray(data)) {
+        data.forEach((item, index) => {
+          results.push(this.flatten(NGN.coalesce(item[this.idAttribute], index), item))
+        })
+      } else {
+        Object.keys(data).forEach((attribute) => {
+          results.push(this.fieldOperation(attribute, data[attribute]))
+        })
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * @method fieldOperation
+   * Generates the `put` operation of a model field. The encoding follows
+   * the type of the value, so no model is required.
+   * @param {string} field
+   * The name of the field.
+   * @param {any} value
+   * @return {object}
+   * @private
+   */
+  fieldOperation (field, value) {
+    return {
+      type: 'put',
+      key: field.toString().trim(),
+      value: value === null ? '#NIL' : value,
+      keyEncoding: 'string',
+      valueEncoding: Array.isArray(value) || codecFor(value) !== null ? 'json' : (typeof value === 'object' ? 'json' : typeof value)
+    }
+  }
+
+  /**
+   * @method operations
+   * Generates the `put` operations representing the complete dataset. Store
+   * records are keyed by ID (or by their position in the store when
+   * they have no ID).
+   * @return {array}
+   * @private
+   */
+  operations () {
+    if (this.type !== 'store') {
+      return this.format(this.store.data).map((operation) => {
+        operation.key = this.toKey(operation.key)
+        return operation
+      })
+    }
+
+    let operations = []
+
+    this.store._data.forEach((record, index) => {
+      let data = record.data
+      let id = record[record.idAttribute]
+
+      if (id !== null && id !== undefined) {
+        data[record.idAttribute] = id
+      }
+
+      operations = operations.concat(this.recordOperations(NGN.coalesce(id, index), data))
+    })
+
+    return operations
+  }
+
+  /**
+   * @method recordOperations
+   * Generates the `put` operations for a single store record, according
+   * to the #layout.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} data
+   * The data of the record.
+   * @return {array}
+   * @private
+   */
+  recordOperations (id, data) {
+    let operations = this.layout === 'exploded'
+      ? this.explode(idString(id), data)
+      : [this.flatten(id, data)]
+
+    operations.forEach((operation) => {
+      operation.key = this.toKey(operation.key)
+    })
+
+    return operations
+  }
+
+  /**
+   * @method explode
+   * Generates a `put` operation for each field of a record. Nested objects
+   * (such as relationship data) are flattened into dotted keys, i.e.
+   * `<id>.pet.name`. The records can be rebuilt with #parse.
+   * @param {string} path
+   * The key of the record/object.
+   * @param {object} data
+   * The record/object data.
+   * @return {array}
+   * @private
+   */
+  explode (path, data) {
+    let operations = []
+
+    Object.keys(data).forEach((field) => {
+      let value = data[field]
+      let key = path + '.' + field
+
+      if (value === undefined) {
+        return
+      }
+
+      if (value !== null && typeof value === 'object' && value.constructor === Object && Object.keys(value).length > 0) {
+        operations = operations.concat(this.explode(key, value))
+      } else {
+        operations.push(this.flatten(key, value))
+      }
+    })
+
+    return operations
+  }
+
+  /**
+   * @method recordId
+   * Identifies the ID of the record a (unprefixed) key belongs to.
+   * @param {string} key
+   * @return {string}
+   * @private
+   */
+  recordId (key) {
+    let separator = this.idEnd(key, ']')
+
+    return separator < 0 ? key : key.substr(0, separator)
+  }
+
+  /**
+   * @method assemble
+   * Rebuilds store records from their (unprefixed) keys and decoded values.
+   * Keys of the exploded #layout are combined using #parse.
+   * @param {array} items
+   * `{ key, value }` objects, ordered by key.
+   * @return {array}
+   * `{ key, value }` objects, where the key is the record ID and the value
+   * is the record data.
+   * @private
+   */
+  assemble (items) {
+    if (this.layout !== 'exploded') {
+      return items
+    }
+
+    let ids = []
+
+    items.forEach((item) => {
+      let id = this.recordId(item.key)
+
+      if (ids[ids.length - 1] !== id) {
+        ids.push(id)
+      }
+    })
+
+    return this.parse(items).map((data, index) => {
+      return {
+        key: ids[index],
+        value: data
+      }
+    })
+  }
+
+  /**
+   * @method indexChanges
+   * Generates the secondary index, expiry index (see #ttl), tombstone
+   * (see #softDelete) and creation order (see #order) operations for the
+   * records affected by a batch.
+   * @param {array} batch
+   * The batch operations.
+   * @param {array} previous
+   * `{ key, value }` objects containing the stored (unprefixed) keys and
+   * decoded values of the affected records.
+   * @param {array} operations
+   * The `put` operations representing the complete dataset.
+   * @param {Map} [expires]
+   * The stored expiry times to keep, by record ID (see #retainedExpiries).
+   * @return {array}
+   * @private
+   */
+  indexChanges (batch, previous, operations, expires) {
+    let entries = []
+
+    if (this.type !== 'store' || (this.indexes.length === 0 && !this.expiring && !this.softDeleting && !this.sequenced)) {
+      return entries
+    }
+
+    let ids = new Set(batch.map((operation) => this.recordId(this.fromKey(operation.key))))
+
+    let records = (items) => {
+      let result = new Map()
+
+      this.assemble(items.filter((item) => ids.has(this.recordId(item.key)))).forEach((item) => {
+        result.set(item.key, item.value)
+      })
+
+      return result
+    }
+
+    let before = records(previous)
+    let after = records(operations.map((operation) => {
+      return {
+        key: this.fromKey(operation.key),
+        value: operation.value
+      }
+    }))
+
+    ids.forEach((id) => {
+      let previous = NGN.coalesce(before.get(id), null)
+      let current = NGN.coalesce(after.get(id), null)
+
+      let expiry = expires ? expires.get(String(id)) : undefined
+
+      entries = entries.concat(this.indexOperations(id, previous, current), this.expiryOperations(id, current, expiry), this.tombstoneOperations(id, previous, current), this.creationOperations(id, previous, current))
+    })
+
+    return entries
+  }
+
+  /**
+   * @method encodedValue
+   * Identifies the raw value LevelDB stores for a `put` operation generated
+   * by #format.
+   * @param {object} operation
+   * The batch operation.
+   * @return {string}
+   * @private
+   */
+  encodedValue (operation) {
+    return operation.valueEncoding === 'json' ? JSON.stringify(encodeTyped(operation.value)) : String(operation.value)
+  }
+
+  /**
+   * @method diff
+   * Compares a set of `put` operations (generated by #format) with the data
+   * currently stored in LevelDB.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} operations
+   * The `put` operations representing the complete dataset.
+   * @param {function} callback
+   * Receives an error (or `null`) and a batch containing `put` operations
+   * for new or modified keys and `del` operations for keys which no longer
+   * exist in the dataset. The batch also maintains the secondary #indexes.
+   * @param {boolean} [full=false]
+   * Include a `put` operation for every key (not just those that changed).
+   * @private
+   */
+  diff (db, operations, callback, full) {
+    let pending = {}
+    let previous = []
+    let batch = []
+
+    // Exploded records are indexed using all of their fields, not just
+    // those which changed.
+    let retain = this.type === 'store' && this.indexes.length > 0 && this.layout === 'exploded'
+
+    operations.forEach((operation) => {
+      pending[operation.key] = operation
+    })
+
+    db.createReadStream(Object.assign({
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, this.keyRange())).on('data', (item) => {
+      let operation = pending[item.key]
+
+      if (!operation) {
+        batch.push({
+          type: 'del',
+          key: item.key,
+          keyEncoding: 'string'
+        })
+
+        previous.push(item)
+      } else if (!full && this.encodedValue(operation) === item.value) {
+        delete pending[item.key]
+
+        if (retain) {
+          previous.push(item)
+        }
+      } else {
+        previous.push(item)
+      }
+    })
+    .on('error', callback)
+    .on('end', () => {
+      Object.keys(pending).forEach((key) => {
+        batch.push(pending[key])
+      })
+
+      // Rewriting unchanged records does not extend their expiry.
+      if (!full || !this.expiring) {
+        return callback(null, batch.concat(this.indexChanges(batch, this.decodeStored(previous), operations)))
+      }
+
+      this.retainedExpiries(db, operations, (err, expires) => {
+        if (err) {
+          return callback(err)
+        }
+
+        callback(null, batch.concat(this.indexChanges(batch, this.decodeStored(previous), operations, expires)))
+      })
+    })
+  }
+
+  /**
+   * @method retainedExpiries
+   * Reads the stored expiry times (see #ttl) of the records a full rewrite
+   * leaves unchanged, so that rewriting them does not extend their expiry.
+   * Expired records which have not been swept yet remain expired.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} operations
+   * The `put` operations representing the complete dataset.
+   * @param {function} callback
+   * Receives an error (or `null`) and a Map of the expiry times by record ID.
+   * @private
+   */
+  retainedExpiries (db, operations, callback) {
+    let pending = new Map()
+    let changed = new Set()
+    let expires = new Map()
+    let prefix = this.metaKey('expires')
+
+    operations.forEach((operation) => {
+      pending.set(operation.key, this.encodedValue(operation))
+    })
+
+    db.createReadStream(Object.assign({
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, this.keyRange())).on('data', (item) => {
+      if (pending.get(item.key) !== item.value) {
+        changed.add(String(this.recordId(this.fromKey(item.key))))
+      }
+
+      pending.delete(item.key)
+    })
+    .on('error', (err) => callback(wrapRead('Failed to read the data.', err)))
+    .on('end', () => {
+      // Keys which are not stored yet belong to new (or changed) records.
+      pending.forEach((value, key) => changed.add(String(this.recordId(this.fromKey(key)))))
+
+      db.createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, this.metaRange('expires'))).on('data', (item) => {
+        let id = item.key.substr(prefix.length)
+
+        if (!changed.has(id)) {
+          expires.set(id, parseInt(item.value, 10))
+        }
+      })
+      .on('error', (err) => callback(wrapRead('Failed to read the expiry index.', err)))
+      .on('end', () => callback(null, expires))
+    })
+  }
+
+  /**
+   * @method save
+   * Save data to the LevelDB file. By default, only new or modified keys
+   * are written and keys which no longer exist in the store/model are
+   * removed, all within a single batch.
+   * @param {object} [options]
+   * @param {boolean} [options.full=false]
+   * Rewrite the entire dataset. The rewrite is atomic: the existing data
+   * remains intact until the new dataset has been written completely.
+   * @param {function} [callback]
+   * An optional callback executes after the save is complete. Receives an
+   * error (or `null`).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * after the save is complete (or rejects if the save fails).
+   * @fires save
+   * Fired after the save is complete.
+   * @fires error
+   * Fired when the save fails.
+   */
+  save (options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.save(options, (err) => err ? reject(err) : resolve())
+      })
+    }
+
+    let complete = (err) => {
+      setTimeout(() => {
+        if (err) {
+          return this.raise({
+            operation: 'save',
+            error: err
+          }, callback)
+        }
+
+        this.emit('save')
+        this.store.emit('save')
+        callback(null)
+      }, 10)
+    }
+
+    if (options.full) {
+      this.rewrite((err) => {
+        complete(err ? wrap(LevelDBProxyWriteError, 'Failed to rewrite the database.', err) : null)
+      })
+
+      return
+    }
+
+    this.op((db, done) => {
+      this.diff(db, this.operations(), (err, batch) => {
+        if (err) {
+          done()
+          return complete(wrapRead('Failed to read the existing data.', err))
+        }
+
+        if (batch.length === 0) {
+          done()
+          return complete()
+        }
+
+        if (this.revised) {
+          return this.saveRevisions(db, batch, (err) => {
+            done()
+            complete(err)
+          })
+        }
+
+        this.saveBatch(db, batch, (err) => {
+          done()
+          complete(err)
+        })
+      })
+    }).catch(complete)
+  }
+
+  /**
+   * @method batchRecords
+   * Identifies the records modified by a #save batch (see #diff).
+   * @param {array} batch
+   * @return {array}
+   * The IDs of the records.
+   * @private
+   */
+  batchRecords (batch) {
+    let meta = this.toKey('\x00')
+    let ids = new Map()
+
+    batch.forEach((operation) => {
+      if (operation.key.indexOf(meta) !== 0) {
+        let id = this.recordId(this.fromKey(operation.key))
+
+        ids.set(this.toKey(id), id)
+      }
+    })
+
+    return Array.from(ids.values())
+  }
+
+  /**
+   * @method saveBatch
+   * Writes the records modified by a #save batch (see #diff). The records
+   * are locked against live writes (see #persist), and the batch is
+   * generated again once they are locked, so the index entries reflect
+   * the stored data. When records were written in the meantime, the locks
+   * are acquired again including those records.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} batch
+   * The batch generated by #diff.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  saveBatch (db, batch, callback) {
+    let ids = this.batchRecords(batch)
+    let locked = new Set(ids.map((id) => this.toKey(id)))
+
+    this.exclusiveRecords(ids, (unlock) => {
+      this.diff(db, this.operations(), (err, batch) => {
+        if (err) {
+          unlock()
+          return callback(wrapRead('Failed to read the existing data.', err))
+        }
+
+        if (this.batchRecords(batch).some((id) => !locked.has(this.toKey(id)))) {
+          unlock()
+          return this.saveBatch(db, batch, callback)
+        }
+
+        if (batch.length === 0) {
+          unlock()
+          return callback(null)
+        }
+
+        this.writeBatch(db, batch, (err) => {
+          unlock()
+          callback(err ? wrap(LevelDBProxyWriteError, 'Failed to write the batch.', err) : null)
+        })
+      })
+    })
+  }
+
+  /**
+   * @method saveRevisions
+   * Writes the records modified by a #save batch (see #diff), checking and
+   * incrementing their revisions (see #revisionField). Nothing is written
+   * when the revision of any record conflicts (and the conflict is not
+   * resolved), and a `live.conflict` event is fired. Records removed from
+   * the store are deleted without checking their revisions.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} batch
+   * The batch generated by #diff.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  saveRevisions (db, batch, callback) {
+    let records = new Map()
+    let ids = this.batchRecords(batch)
+
+    this.store._data.forEach((record) => {
+      let id = record[record.idAttribute]
+
+      if (id !== null && id !== undefined) {
+        records.set(idString(id), record)
+      }
+    })
+
+    // Saves are written one at a time (like coalesced changes), and the
+    // records are locked against live writes (see #persist).
+    this.exclusive(this.metaKey('flush'), (unlockFlush) => this.exclusiveRecords(ids, (unlockRecords) => {
+      let operations = []
+      let written = []
+
+      let unlock = () => {
+        unlockRecords()
+        unlockFlush()
+      }
+
+      series(ids.map((id) => {
+        return (next) => {
+          let record = NGN.coalesce(records.get(id), null)
+
+          this.recordBatch(db, id, record === null ? null : record.data, (err, batch, previous, data) => {
+            operations = operations.concat(batch || [])
+            written.push({ record: record, data: data })
+            next(err)
+          }, record)
+        }
+      }), (err) => {
+        if (err) {
+          unlock()
+
+          if (err.conflict) {
+            setTimeout(() => {
+              this.emit('live.conflict', err.conflict)
+              this.store.emit('live.conflict', err.conflict)
+            }, 10)
+          }
+
+          return callback(err)
+        }
+
+        this.writeBatch(db, operations, (err) => {
+          if (!err) {
+            written.forEach((item) => this.revision(item.record, item.data))
+          }
+
+          unlock()
+          callback(err ? wrap(LevelDBProxyWriteError, 'Failed to write the batch.', err) : null)
+        })
+      })
+    }))
+  }
+
+  /**
+   * @method fetch
+   * Automatically populates the store/record with the full set of
+   * data from the LevelDB. Options can be used to retrieve a subset of
+   * the data (identified by record ID in stores, or by field name in models).
+   *
+   * ```js
+   * // Load the first 10 records with an ID beginning with "customer1-".
+   * proxy.fetch({ gte: 'customer1-', lt: 'customer1.', limit: 10, load: 'append' })
+   * ```
+   * @param {object} [options]
+   * @param {string} [options.gt]
+   * Only retrieve keys greater than this value.
+   * @param {string} [options.gte]
+   * Only retrieve keys greater than or equal to this value.
+   * @param {string} [options.lt]
+   * Only retrieve keys less than this value.
+   * @param {string} [options.lte]
+   * Only retrieve keys less than or equal to this value.
+   * @param {number} [options.limit]
+   * The maximum number of keys to retrieve.
+   * @param {boolean} [options.reverse=false]
+   * Retrieve keys in reverse order (and load the records in reverse
+   * #order).
+   * @param {string} [options.order]
+   * The order the store records are loaded in: `key`, `sequence` (the
+   * order they were created in) or the name of an indexed field. Defaults
+   * to the #order configuration. The range options (and `limit`) still
+   * select records by key.
+   * @param {array} [options.keys]
+   * Only retrieve these keys (record IDs or field names). Range options
+   * are ignored when keys are specified.
+   * @param {Date|number} [options.asOf]
+   * Retrieve the data as it was at this time (requires #history). Other
+   * options (except `load`) are ignored.
+   * @param {string|boolean} [options.load]
+   * By default, a store is reloaded with the retrieved records (replacing
+   * the existing records). Set this to `append` (or `true`) to add the
+   * records to the store, or `merge` to update existing records (matched by
+   * ID) and add the rest. Models always merge the retrieved fields.
+   * @param {function} [callback]
+   * An optional callback executes after the fetch and parse is complete.
+   * Receives an error (or `null`).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * after the fetch and parse is complete (or rejects if the fetch fails).
+   * @fires fetch
+   * Fired after the fetch and parse is complete.
+   * @fires error
+   * Fired when the fetch fails.
+   */
+  fetch (options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.fetch(options, (err) => err ? reject(err) : resolve())
+      })
+    }
+
+    let complete = (err, key) => {
+      if (err) {
+        return this.raise({
+          operation: 'fetch',
+          key: key,
+          error: err
+        }, callback)
+      }
+
+      this.emit('fetch')
+      this.store.emit('fetch')
+      callback(null)
+    }
+
+    if (options.asOf !== undefined && options.asOf !== null) {
+      if (this._history === null) {
+        return complete(LevelDBProxyReadError('The history is not enabled.'))
+      }
+
+      this.op((db, done) => {
+        this.readAsOf(db, options.asOf, (err, items) => {
+          done()
+
+          if (err) {
+            return complete(err)
+          }
+
+          if (this.type === 'store') {
+            this.loadRecords(this.assemble(items), options.load)
+          } else {
+            let data = {}
+
+            items.forEach((item) => {
+              data[item.key] = item.value
+            })
+
+            this.store.load(data)
+          }
+
+          setTimeout(complete, 10)
+        })
+      }).catch(complete)
+    } else if (this.type === 'store') {
+      this.op((db, done) => {
+        this.readUnexpired(db, options, (err, records) => {
+          if (err) {
+            done()
+            return complete(err)
+          }
+
+          this.orderRecords(db, records, NGN.coalesce(options.order, this.order), options.reverse === true, (err, records) => {
+            done()
+
+            if (err) {
+              return complete(err)
+            }
+
+            this.loadRecords(records, options.load)
+            setTimeout(complete, 10)
+          })
+        })
+      }).catch(complete)
+    } else {
+      this.op((db, done) => {
+        this.readFields(db, options, (err, data, key) => {
+          done()
+
+          if (err) {
+            return complete(err, key)
+          }
+
+          if (Object.keys(data).length > 0) {
+            this.store.load(data)
+          }
+
+          setTimeout(complete, 20)
+        })
+      }).catch(complete)
+    }
+  }
+
+  /**
+   * @property {boolean} sequenced
+   * Indicates the creation order of store records is tracked (see #order).
+   * @readonly
+   * @private
+   */
+  get sequenced () {
+    return this.type === 'store' && this.order === 'sequence'
+  }
+
+  /**
+   * @method creationOperations
+   * Generates the batch operations which record the time a store record is
+   * created (see #order), or remove it when the record is deleted. Records
+   * created within the same millisecond are distinguished by a serial
+   * number.
+   * @param {string} id
+   * The ID of the record.
+   * @param {object} previous
+   * The stored data of the record before the change (`null` for new
+   * records).
+   * @param {object} data
+   * The data of the record after the change (`null` for deleted records).
+   * @return {array}
+   * @private
+   */
+  creationOperations (id, previous, data) {
+    if (!this.sequenced) {
+      return []
+    }
+
+    if (previous === null && data !== null) {
+      let serial = ('000000' + (this._creationSerial++ % 1000000)).slice(-6)
+
+      return [{
+        type: 'put',
+        key: this.metaKey('created', id),
+        value: ('000000000000000' + Date.now()).slice(-15) + serial,
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }]
+    }
+
+    if (previous !== null && data === null) {
+      return [{
+        type: 'del',
+        key: this.metaKey('created', id),
+        keyEncoding: 'string'
+      }]
+    }
+
+    return []
+  }
+
+  /**
+   * @method orderRecords
+   * Sorts the store records retrieved by #fetch (see #order). Records which
+   * are not ranked (such as records created before the creation order was
+   * tracked, or records without a value for the indexed field) are placed
+   * last, in key order.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {array} records
+   * `{ key, value }` objects, where the key is the record ID.
+   * @param {string} order
+   * `key`, `sequence` or the name of an indexed field.
+   * @param {boolean} reverse
+   * Sort the records in reverse order.
+   * @param {function} callback
+   * Receives an error (or `null`) and the sorted records.
+   * @private
+   */
+  orderRecords (db, records, order, reverse, callback) {
+    if (order === 'key') {
+      return callback(null, records)
+    }
+
+    if (order === 'sequence' && !this.sequenced) {
+      return callback(LevelDBProxyReadError('The creation order is not tracked.'))
+    }
+
+    if (order !== 'sequence' && this.indexes.indexOf(order) < 0) {
+      return callback(LevelDBProxyReadError(order + ' is not an indexed field.'))
+    }
+
+    let ranks = new Map()
+    let prefix = this.metaKey('created')
+    let position = 0
+
+    // Creation times are keyed by record ID. Index entries are ordered by
+    // value, and end with the record ID.
+    db.createReadStream(Object.assign({
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, order === 'sequence' ? this.metaRange('created') : this.indexRange(order))).on('data', (item) => {
+      if (order === 'sequence') {
+        ranks.set(item.key.substr(prefix.length), item.value)
+      } else {
+        ranks.set(item.key.substr(item.key.lastIndexOf('\x00') + 1), position++)
+      }
+    })
+    .on('error', (err) => {
+      callback(wrapRead('Failed to read the ' + (order === 'sequence' ? 'creation order' : order + ' index') + '.', err))
+    })
+    .on('end', () => {
+      let sorted = records.map((record, index) => {
+        return {
+          record: record,
+          rank: ranks.get(record.key),
+          index: index
+        }
+      }).sort((a, b) => {
+        if (a.rank === b.rank) {
+          return a.index - b.index
+        }
+
+        if (a.rank === undefined || b.rank === undefined) {
+          return a.rank === undefined ? 1 : -1
+        }
+
+        return a.rank < b.rank ? -1 : 1
+      }).map((item) => item.record)
+
+      callback(null, reverse ? sorted.reverse() : sorted)
+    })
+  }
+
+  /**
+   * @method readKeys
+   * Retrieve the keys (record IDs or field names) identified by the range
+   * options of #fetch.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {object} options
+   * The #fetch options.
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of keys.
+   * @private
+   */
+  readKeys (db, options, callback) {
+    let keys = []
+
+    db.createKeyStream(Object.assign({
+      keyEncoding: 'string',
+      limit: NGN.coalesce(options.limit, -1),
+      reverse: options.reverse === true
+    }, this.keyRange(options))).on('data', (key) => {
+      keys.push(this.fromKey(key))
+    })
+    .on('error', (err) => {
+      callback(wrapRead('Failed to read the keys.', err))
+    })
+    .on('end', () => {
+      callback(null, keys)
+    })
+  }
+
+  /**
+   * @method readRecords
+   * Retrieve store records identified by the #fetch options.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {object} options
+   * The #fetch options.
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of `{ key, value }` objects,
+   * where the key is the record ID and the value is the record data.
+   * @private
+   */
+  readRecords (db, options, callback) {
+    if (this.layout === 'exploded') {
+      return this.readExploded(db, options, callback)
+    }
+
+    let records = []
+
+    if (Array.isArray(options.keys)) {
+      series(options.keys.map((id) => {
+        return (next) => {
+          db.get(this.toKey(id), {
+            keyEncoding: 'string',
+            valueEncoding: 'json'
+          }, (err, value) => {
+            if (err && err.notFound) {
+              return next()
+            }
+
+            if (err) {
+              return next(wrapRead('Failed to read ' + id + '.', err))
+            }
+
+            records.push({
+              key: idString(id),
+              value: value
+            })
+
+            next()
+          })
+        }
+      }), (err) => {
+        callback(err, err ? null : records)
+      })
+
+      return
+    }
+
+    db.createReadStream(Object.assign({
+      keyEncoding: 'string',
+      valueEncoding: 'json',
+      limit: NGN.coalesce(options.limit, -1),
+      reverse: options.reverse === true
+    }, this.keyRange(options))).on('data', (item) => {
+      records.push({
+        key: this.fromKey(item.key),
+        value: item.value
+      })
+    })
+    .on('error', (err) => {
+      callback(wrapRead('Failed to read the records.', err))
+    })
+    .on('end', () => {
+      callback(null, records)
+    })
+  }
+
+  /**
+   * @method readExploded
+   * Retrieve store records of the exploded #layout identified by the #fetch
+   * options. The range options apply to record IDs.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {object} options
+   * The #fetch options.
+   * @param {function} callback
+   * Receives an error (or `null`) and an array of `{ key, value }` objects,
+   * where the key is the record ID and the value is the record data.
+   * @private
+   */
+  readExploded (db, options, callback) {
+    let items = []
+
+    // accept() receives the record ID of each key, returning true to keep
+    // the key, false to stop reading, or null to skip it.
+    let read = (range, accept, next) => {
+      let stream = db.createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'json'
+      }, range))
+
+      let finished = false
+      let finish = (err) => {
+        if (!finished) {
+          finished = true
+          next(err)
+        }
+      }
+
+      stream.on('data', (item) => {
+        let key = this.fromKey(item.key)
+
+        if (finished) {
+          return
+        }
+
+        let decision = accept(this.recordId(key))
+
+        if (decision === false) {
+          stream.destroy()
+          return finish()
+        }
+
+        if (decision) {
+          items.push({
+            key: key,
+            value: item.value
+          })
+        }
+      })
+      .on('error', (err) => finish(wrapRead('Failed to read the records.', err)))
+      .on('end', () => finish())
+      .on('close', () => finish())
+    }
+
+    let complete = (err) => {
+      callback(err || null, err ? null : this.assemble(items))
+    }
+
+    if (Array.isArray(options.keys)) {
+      return series(options.keys.map((id) => {
+        return (next) => {
+          read({
+            gt: this.toKey(id) + '.',
+            lt: this.toKey(id) + '/'
+          }, () => true, next)
+        }
+      }), complete)
+    }
+
+    // Fields are not ordered by record ID when IDs contain characters
+    // sorting before the '.' separator, so upper boundaries are applied to
+    // the record IDs instead of the keys.
+    let limit = NGN.coalesce(options.limit, -1)
+    let current = null
+    let count = 0
+
+    let range = this.keyRange({
+      gte: NGN.coalesce(options.gte, options.gt)
+    })
+
+    let within = (id) => {
+      id = this.encodeId(id)
+
+      return !(
+        (options.gt !== undefined && options.gt !== null && id <= this.encodeId(options.gt)) ||
+        (options.gte !== undefined && options.gte !== null && id < this.encodeId(options.gte)) ||
+        (options.lt !== undefined && options.lt !== null && id >= this.encodeId(options.lt)) ||
+        (options.lte !== undefined && options.lte !== null && id > this.encodeId(options.lte))
+      )
+    }
+
+    let accepted = false
+
+    range.reverse = options.reverse === true
+
+    read(range, (id) => {
+      if (id !== current) {
+        current = id
+        accepted = within(id)
+
+        if (accepted) {
+          count++
+        }
+
+        if (limit >= 0 && count > limit) {
+          return false
+        }
+      }
+
+      return accepted ? true : null
+    }, complete)
+  }
+
+  /**
+   * @method readFields
+   * Retrieve model fields identified by the #fetch options.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {object} options
+   * The #fetch options.
+   * @param {function} callback
+   * Receives an error (or `null`), an object containing the field values,
+   * and the field which caused the error (if any).
+   * @private
+   */
+  readFields (db, options, callback) {
+    let read = (keys) => {
+      let data = {}
+
+      series(keys.filter((key) => this.hasOwnProperty(key)).map((key) => {
+        return (next) => {
+          let type = this.getFieldType(key)
+
+          db.get(this.toKey(key), {
+            keyEncoding: 'string',
+            valueEncoding: type
+          }, (err, value) => {
+            if (err && err.notFound) {
+              return next()
+            }
+
+            if (err) {
+              return next({
+                key: key,
+                error: wrapRead('Failed to read ' + key + '.', err)
+              })
+            }
+
+            try {
+              data[key] = this.decodeField(key, type, value)
+            } catch (e) {
+              return next({
+                key: key,
+                error: wrap(LevelDBProxyDecodeError, 'Failed to decode ' + key + '.', e)
+              })
+            }
+
+            next()
+          })
+        }
+      }), (err) => {
+        if (err) {
+          return callback(err.error, null, err.key)
+        }
+
+        callback(null, data)
+      })
+    }
+
+    if (Array.isArray(options.keys)) {
+      return read(options.keys)
+    }
+
+    this.readKeys(db, options, (err, keys) => {
+      if (err) {
+        return callback(err)
+      }
+
+      read(keys)
+    })
+  }
+
+  /**
+   * @method loadRecords
+   * Load retrieved records into the store.
+   * @param {array} records
+   * The `{ key, value }` objects generated by #readRecords.
+   * @param {string|boolean} [mode]
+   * `append` (or `true`) adds the records to the store. `merge` updates
+   * existing records (matched by ID) and adds the rest. Otherwise, the
+   * store is reloaded with the records.
+   * @private
+   */
+  loadRecords (records, mode) {
+    if (mode === 'merge') {
+      let existing = {}
+
+      this.store._data.forEach((record) => {
+        let id = record[record.idAttribute]
+
+        if (id !== null && id !== undefined) {
+          existing[idString(id)] = record
+        }
+      })
+
+      records = records.filter((item) => {
+        if (existing.hasOwnProperty(item.key)) {
+          existing[item.key].load(item.value)
+          return false
+        }
+
+        return true
+      })
+
+      mode = 'append'
+    }
+
+    let data = records.map((item) => item.value)
+
+    if (mode === 'append' || mode === true) {
+      this.store.load(data)
+    } else {
+      this._reloading = true
+      this.store.reload(data)
+      this._reloading = false
+    }
+  }
+
+  /**
+   * @method page
+   * Load the next page of records into the store. Records are read with a
+   * LevelDB iterator, starting after the position identified by the cursor,
+   * and are appended to the store.
+   *
+   * ```js
+   * let result = await proxy.page({ size: 50 })
+   *
+   * while (result.cursor) {
+   *   result = await proxy.page({ size: 50, after: result.cursor, evict: true })
+   * }
+   * ```
+   * @param {object} [options]
+   * @param {number} [options.size=100]
+   * The maximum number of records to load.
+   * @param {string} [options.after]
+   * The cursor returned by the previous page. When omitted, the first page
+   * is loaded.
+   * @param {boolean} [options.reverse=false]
+   * Page through the records in reverse key order. This is ignored when a
+   * cursor is provided (the cursor retains the original direction).
+   * @param {boolean} [options.evict=false]
+   * Remove the records loaded by the previous page from the store before
+   * loading this page, keeping memory usage bounded. Evicted records are
+   * not deleted from the database.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and an object containing the `records`
+   * loaded into the store and the `cursor` for the next page. The cursor is
+   * `null` when there are no more records.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves with
+   * the records and cursor.
+   * @fires page
+   * Fired with the records and cursor after the page is loaded.
+   * @fires error
+   * Fired when the page cannot be loaded.
+   */
+  page (options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.page(options, (err, result) => err ? reject(err) : resolve(result))
+      })
+    }
+
+    let complete = (err, result) => {
+      if (err) {
+        return this.raise({
+          operation: 'page',
+          error: err
+        }, callback)
+      }
+
+      this.emit('page', result)
+      this.store.emit('page', result)
+      callback(null, result)
+    }
+
+    if (this.type !== 'store') {
+      return complete(LevelDBProxyReadError('Paging is only supported for stores.'))
+    }
+
+    let position = { key: null, reverse: options.reverse === true }
+
+    if (options.after) {
+      try {
+        position = JSON.parse(Buffer.from(options.after, 'base64').toString('utf8'))
+      } catch (e) {
+        return complete(wrap(LevelDBProxyReadError, 'Invalid page cursor.', e))
+      }
+    }
+
+    let size = NGN.coalesce(options.size, 100)
+    let range = {
+      limit: size + 1,
+      reverse: position.reverse
+    }
+
+    if (position.key !== null) {
+      range[position.reverse ? 'lt' : 'gt'] = position.key
+    }
+
+    this.op((db, done) => {
+      this.readRecords(db, range, (err, records) => {
+        if (err) {
+          done()
+          return complete(err)
+        }
+
+        let more = records.length > size
+
+        records = records.slice(0, size)
+
+        let cursor = null
+
+        if (more) {
+          cursor = Buffer.from(JSON.stringify({
+            key: records[records.length - 1].key,
+            reverse: position.reverse
+          })).toString('base64')
+        }
+
+        this.filterExpired(db, records, (err, records) => {
+          done()
+
+          if (err) {
+            return complete(err)
+          }
+
+          if (options.evict === true) {
+            this.evict(this._pagedRecords)
+          }
+
+          let count = this.store._data.length
+
+          this.loadRecords(records, 'append')
+          this._pagedRecords = this.store._data.slice(count)
+
+          setTimeout(() => {
+            complete(null, {
+              records: this._pagedRecords.slice(),
+              cursor: cursor
+            })
+          }, 10)
+        })
+      })
+    }).catch(complete)
+  }
+
+  /**
+   * @method evict
+   * Remove records from the store without deleting them from the database.
+   * @param {array} records
+   * The records to remove.
+   * @private
+   */
+  evict (records) {
+    this.store._loading = true
+
+    records.forEach((record) => {
+      if (this.store.contains(record)) {
+        this.store.remove(record, true)
+      }
+    })
+
+    this.store._loading = false
+  }
+
+  /**
+   * @method migrate
+   * Apply the outstanding #migrations. This happens automatically before
+   * the first operation, so it is only necessary to call this method to
+   * migrate the data ahead of time, or to perform a dry run.
+   *
+   * ```js
+   * proxy.migrate({ dryRun: true }).then((report) => {
+   *   console.log(report.from, report.to, report.changes)
+   * })
+   * ```
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false]
+   * Report the changes without writing them.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and a report containing the schema
+   * version of the stored data (`from`), the target version (`to`) and
+   * the `changes`. Each change contains the `type` (`put` or `del`), the
+   * `key` (record ID or field name) and the new `value` (for `put` changes).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the report.
+   * @fires migrate
+   * Fired with the report when migrations are applied.
+   * @fires error
+   * Fired when the migration fails.
+   */
+  migrate (options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.migrate(options, (err, report) => err ? reject(err) : resolve(report))
+      })
+    }
+
+    let task
+
+    if (options.dryRun === true) {
+      task = this.run((db) => {
+        return new Promise((resolve, reject) => {
+          this.applyMigrations(db, true, (err, report) => err ? reject(err) : resolve(report))
+        })
+      })
+    } else {
+      this._migrated = false
+      task = this.upgrade(true)
+    }
+
+    task.then((report) => callback(null, report), (err) => {
+      this.raise({
+        operation: 'migrate',
+        error: err
+      }, callback)
+    })
+  }
+
+  /**
+   * @method upgrade
+   * Verifies the key encoding (see #checkKeys) and applies the outstanding
+   * #migrations once. Concurrent callers share the same migration.
+   * @param {boolean} [force=false]
+   * Apply the migrations (and store the schema version) even when the
+   * proxy has no #version.
+   * @return {Promise}
+   * Resolves with the migration report.
+   * @private
+   */
+  upgrade (force) {
+    if (this._migrating === null) {
+      this._migrating = this.run((db) => {
+        return new Promise((resolve, reject) => {
+          this.checkKeys(db, (err) => {
+            if (err) {
+              return reject(err)
+            }
+
+            if (!this._versioned && force !== true) {
+              return resolve({
+                from: this.version,
+                to: this.version,
+                changes: []
+              })
+            }
+
+            this.applyMigrations(db, false, (err, report) => err ? reject(err) : resolve(report))
+          })
+        })
+      }).then((report) => {
+        this._migrating = null
+        this._migrated = true
+
+        if (report.from !== report.to) {
+          this.emit('migrate', report)
+        }
+
+        return report
+      }, (err) => {
+        this._migrating = null
+        throw err
+      })
+    }
+
+    return this._migrating
+  }
+
+  /**
+   * @method checkKeys
+   * Verifies the stored records were written with the same #orderedKeys
+   * setting, since the keys written with the other setting cannot be read.
+   * Databases with ordered keys are marked when they are first used, so
+   * records without the mark were written without ordered keys.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  checkKeys (db, callback) {
+    if (this.type !== 'store') {
+      return callback(null)
+    }
+
+    let key = this.metaKey('schema', 'keys')
+
+    let mismatch = (ordered) => {
+      callback(LevelDBProxyDecodeError('The records were written with orderedKeys ' + (ordered ? 'enabled' : 'disabled') + '. Use the same setting, or export the data and import it into a new database.'))
+    }
+
+    db.get(key, {
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, (err, stored) => {
+      if (err && !err.notFound) {
+        return callback(wrapRead('Failed to read the key encoding.', err))
+      }
+
+      let ordered = !err && stored === 'ordered'
+
+      if (ordered && !this.orderedKeys) {
+        return mismatch(true)
+      }
+
+      if (ordered || !this.orderedKeys) {
+        return callback(null)
+      }
+
+      let found = false
+
+      db.createKeyStream(Object.assign({
+        limit: 1,
+        keyEncoding: 'string'
+      }, this.keyRange())).on('data', () => {
+        found = true
+      })
+      .on('error', (err) => callback(wrapRead('Failed to read the key encoding.', err)))
+      .on('end', () => {
+        if (found) {
+          return mismatch(false)
+        }
+
+        db.put(key, 'ordered', {
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        }, (err) => {
+          callback(err ? wrap(LevelDBProxyWriteError, 'Failed to write the key encoding.', err) : null)
+        })
+      })
+    })
+  }
+
+  /**
+   * @method applyMigrations
+   * Migrates the stored data from its schema version to the current
+   * #version, writing the changes and the new version in a single batch.
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {boolean} dryRun
+   * Report the changes without writing them.
+   * @param {function} callback
+   * Receives an error (or `null`) and the migration report.
+   * @private
+   */
+  applyMigrations (db, dryRun, callback) {
+    let key = this.metaKey('schema', 'version')
+    let report = {
+      from: null,
+      to: this.version,
+      changes: []
+    }
+
+    db.get(key, {
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, (err, stored) => {
+      if (err && !err.notFound) {
+        return callback(wrapRead('Failed to read the schema version.', err))
+      }
+
+      // Unversioned data predates the migrations.
+      let missing = Boolean(err)
+
+      report.from = missing ? 1 : parseInt(stored, 10)
+
+      let versions = Object.keys(this.migrations).map(Number).filter((version) => {
+        return version > report.from && version <= report.to
+      }).sort((a, b) => a - b)
+
+      let write = (batch) => {
+        if (dryRun) {
+          return callback(null, report)
+        }
+
+        if (missing || report.from < report.to) {
+          batch.push({
+            type: 'put',
+            key: key,
+            value: String(Math.max(report.from, report.to)),
+            keyEncoding: 'string',
+            valueEncoding: 'utf8'
+          })
+        }
+
+        if (batch.length === 0) {
+          return callback(null, report)
+        }
+
+        db.batch(batch, (err) => {
+          if (err) {
+            return callback(wrap(LevelDBProxyWriteError, 'Failed to write the migrated data.', err))
+          }
+
+          callback(null, report)
+        })
+      }
+
+      if (versions.length === 0) {
+        return write([])
+      }
+
+      let migrate = (data, id) => {
+        versions.forEach((version) => {
+          if (data !== null) {
+            let result = this.migrations[version](data, id)
+            data = result === undefined ? data : result
+          }
+        })
+
+        return data
+      }
+
+      this.readAll(db, (err, records) => {
+        if (err) {
+          return callback(err)
+        }
+
+        let operations = []
+
+        try {
+          if (this.type === 'store') {
+            records.forEach((item) => {
+              let data = migrate(item.value, item.key)
+
+              if (data !== null) {
+                operations = operations.concat(this.recordOperations(item.key, data))
+              }
+            })
+          } else {
+            operations = this.format(NGN.coalesce(migrate(records, null), {})).map((operation) => {
+              operation.key = this.toKey(operation.key)
+              return operation
+            })
+          }
+        } catch (e) {
+          return callback(wrap(LevelDBProxyWriteError, 'Failed to migrate the data to version ' + report.to + '.', e))
+        }
+
+        this.diff(db, operations, (err, batch) => {
+          if (err) {
+            return callback(wrapRead('Failed to read the stored data.', err))
+          }
+
+          let meta = this.toKey('\x00')
+
+          report.changes = batch.filter((operation) => operation.key.indexOf(meta) !== 0).map((operation) => {
+            return {
+              type: operation.type,
+              key: this.fromKey(operation.key),
+              value: operation.type === 'put' ? operation.value : undefined
+            }
+          })
+
+          write(batch)
+        })
+      })
+    })
+  }
+
+  /**
+   * @method readAll
+   * Retrieve the complete stored dataset. Model fields which no longer
+   * exist in the model are decoded from JSON where possible (otherwise
+   * they are retrieved as strings).
+   * @param {object} db
+   * The LevelDB handle.
+   * @param {function} callback
+   * Receives an error (or `null`) and the data. Stores receive an array of
+   * `{ key, value }` records (see #readRecords). Models receive an object
+   * containing every stored field.
+   * @private
+   */
+  readAll (db, callback) {
+    if (this.type === 'store') {
+      return this.readRecords(db, {}, callback)
+    }
+
+    let data = {}
+
+    db.createReadStream(Object.assign({
+      keyEncoding: 'string',
+      valueEncoding: 'utf8'
+    }, this.keyRange())).on('data', (item) => {
+      let field = this.fromKey(item.key)
+      let value = item.value
+
+      if (this.fields.hasOwnProperty(field) || this.joins.hasOwnProperty(field)) {
+        let type = this.getFieldType(field)
+
+        try {
+          data[field] = type === 'json' ? decodeTyped(JSON.parse(value)) : this.decodeField(field, type, value)
+        } catch (e) {
+          data[field] = value
+        }
+
+        return
+      }
+
+      try {
+        data[field] = value.indexOf('#NIL') >= 0 ? null : decodeTyped(JSON.parse(value))
+      } catch (e) {
+        data[field] = value
+      }
+    })
+    .on('error', (err) => {
+      callback(wrapRead('Failed to read the stored fields.', err))
+    })
+    .on('end', () => {
+      callback(null, data)
+    })
+  }
+
+  /**
+   * @method exportTo
+   * Export every key/value of the proxy (restricted to the #namespace) as
+   * newline-delimited JSON. The first line is a header describing the
+   * export. Each subsequent line contains the `key` (without the namespace)
+   * and the raw stored `value`, so the data (including `#NIL` values) can
+   * be restored exactly with #importFrom.
+   *
+   * Values are exported as they are read, so the export of an encrypted
+   * database (see #encryption) contains the decrypted plaintext (and
+   * compressed values are decompressed). The encryption salt is not
+   * exported.
+   *
+   * ```js
+   * proxy.exportTo('./backup.ndjson').then((count) => { ... })
+   * ```
+   * @param {string|stream.Writable} destination
+   * The path of the export file, or a writable stream. Streams are not
+   * ended after the export.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the number of exported keys.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the number of exported keys.
+   * @fires export
+   * Fired with the number of exported keys after the export is complete.
+   * @fires error
+   * Fired when the export fails.
+   */
+  exportTo (destination, callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.exportTo(destination, (err, count) => err ? reject(err) : resolve(count))
+      })
+    }
+
+    let count = 0
+    let output = typeof destination === 'string'
+      ? require('fs').createWriteStream(destination)
+      : destination
+
+    let complete = (err) => {
+      if (err) {
+        return this.raise({
+          operation: 'export',
+          key: typeof destination === 'string' ? destination : null,
+          error: err
+        }, callback)
+      }
+
+      this.emit('export', count)
+      callback(null, count)
+    }
+
+    let failed = (err) => {
+      if (output !== destination) {
+        output.destroy()
+      }
+
+      complete(wrap(LevelDBProxyWriteError, 'Failed to write the export.', err))
+    }
+
+    output.on('error', failed)
+
+    output.write(JSON.stringify({
+      format: 'ngnx-leveldb',
+      version: 1,
+      type: this.type,
+      layout: this.layout,
+      namespace: this.namespace,
+      created: new Date().toISOString()
+    }) + '\n')
+
+    let salt = this.metaKey('encryption', 'salt')
+
+    this.op((db, done) => {
+      let input = db.createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, this.namespaceRange()))
+
+      input.on('data', (item) => {
+        if (!this.ownsKey(item.key) || item.key === salt) {
+          return
+        }
+
+        count++
+
+        let line = JSON.stringify({
+          key: this.fromKey(item.key),
+          value: item.value
+        }) + '\n'
+
+        if (!output.write(line)) {
+          input.pause()
+          output.once('drain', () => input.resume())
+        }
+      })
+      .on('error', (err) => {
+        done()
+        output.removeListener('error', failed)
+        complete(wrapRead('Failed to read the data.', err))
+      })
+      .on('end', () => {
+        done()
+
+        let finished = () => {
+          output.removeListener('error', failed)
+          complete(null)
+        }
+
+        if (output !== destination) {
+          return output.end(finished)
+        }
+
+        output.write('', finished)
+      })
+    }).catch(failed)
+  }
+
+  /**
+   * @method importFrom
+   * Import data exported by #exportTo. The data is streamed into LevelDB
+   * using batched writes. Secondary #indexes are rebuilt and the store/model
+   * (if any) is reloaded (see #fetch) once the import is complete.
+   *
+   * ```js
+   * proxy.on('import.progress', (count) => console.log(count + ' keys imported'))
+   * proxy.importFrom('./backup.ndjson', { mode: 'merge' })
+   * ```
+   * @param {string|stream.Readable} source
+   * The path of the export file, or a readable stream.
+   * @param {object} [options]
+   * @param {string} [options.mode=replace]
+   * `replace` removes the existing data (within the #namespace) before
+   * importing. `merge` overwrites existing keys and retains the rest.
+   * @param {number} [options.batchSize=500]
+   * The number of keys written in each batch.
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the number of imported keys.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the number of imported keys.
+   * @fires import.progress
+   * Fired with the number of keys imported so far after each batch.
+   * @fires import
+   * Fired with the number of imported keys after the import is complete.
+   * @fires error
+   * Fired when the import fails.
+   */
+  importFrom (source, options, callback) {
+    if (NGN.isFn(options)) {
+      callback = options
+      options = {}
+    }
+
+    options = options || {}
+
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.importFrom(source, options, (err, count) => err ? reject(err) : resolve(count))
+      })
+    }
+
+    let mode = NGN.coalesce(options.mode, 'replace')
+    let size = NGN.coalesce(options.batchSize, 500)
+    let count = 0
+
+    let complete = (err) => {
+      if (err) {
+        return this.raise({
+          operation: 'import',
+          key: typeof source === 'string' ? source : null,
+          error: err
+        }, callback)
+      }
+
+      this.emit('import', count)
+      callback(null, count)
+    }
+
+    if (['replace', 'merge'].indexOf(mode) < 0) {
+      return complete(LevelDBProxyWriteError('Unknown import mode: ' + mode + '.'))
+    }
+
+    this.op((db, done) => {
+      let input = typeof source === 'string'
+        ? require('fs').createReadStream(source, 'utf8')
+        : source
+
+      let header = null
+      let buffer = ''
+      let batch = []
+      let index = this.metaKey('index')
+      let salt = this.metaKey('encryption', 'salt')
+      let finished = false
+
+      let finish = (err) => {
+        if (finished) {
+          return
+        }
+
+        finished = true
+        done()
+
+        if (err) {
+          if (input !== source) {
+            input.destroy()
+          }
+
+          return complete(err)
+        }
+
+        // The imported data may require migration, and may contain a
+        // different change log.
+        this._migrated = false
+        this._sequence = null
+
+        let steps = []
+
+        if (this.indexes.length > 0) {
+          steps.push((next) => this.rebuildIndex(next))
+        }
+
+        if (this.store !== null) {
+          steps.push((next) => this.fetch(next))
+        }
+
+        series(steps, complete)
+      }
+
+      // Read errors (such as a missing file) are handled as soon as the
+      // stream exists, since an unhandled error event would crash the process.
+      input.on('error', (err) => {
+        finish(wrapRead('Failed to read the import data.', err))
+      })
+
+      let write = (next) => {
+        let operations = batch.splice(0, size)
+
+        if (operations.length === 0) {
+          return next()
+        }
+
+        db.batch(operations, (err) => {
+          if (err) {
+            return finish(wrap(LevelDBProxyWriteError, 'Failed to write the imported data.', err))
+          }
+
+          count += operations.length
+          this.emit('import.progress', count)
+
+          batch.length > 0 ? write(next) : next()
+        })
+      }
+
+      let parse = (line) => {
+        if (line.trim().length === 0) {
+          return true
+        }
+
+        let item
+
+        try {
+          item = JSON.parse(line)
+        } catch (e) {
+          finish(wrap(LevelDBProxyDecodeError, 'Invalid import data.', e))
+          return false
+        }
+
+        if (header === null) {
+          header = item
+
+          if (header.format !== 'ngnx-leveldb') {
+            finish(LevelDBProxyDecodeError('The import data is not an ngnx-leveldb export.'))
+            return false
+          }
+
+          // Proxies which are not attached to a store/model accept any export.
+          if (this.type !== null && (header.type !== this.type || (header.type === 'store' && header.layout !== this.layout))) {
+            finish(LevelDBProxyDecodeError('The import data (' + header.type + ', ' + header.layout + ' layout) does not match the ' + this.type + '.'))
+            return false
+          }
+
+          return true
+        }
+
+        let key = this.toKey(item.key)
+
+        // Indexes are rebuilt after the import, and the encryption salt
+        // of the database is retained.
+        if (key.indexOf(index) === 0 || key === salt) {
+          return true
+        }
+
+        batch.push({
+          type: 'put',
+          key: key,
+          value: item.value,
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
+        })
+
+        return true
+      }
+
+      let read = () => {
+        input.on('data', (chunk) => {
+          if (finished) {
+            return
+          }
+
+          let lines = (buffer + chunk).split('\n')
+
+          buffer = lines.pop()
+
+          if (!lines.every(parse)) {
+            return
+          }
+
+          if (batch.length >= size) {
+            input.pause()
+            write(() => input.resume())
+          }
+        })
+        .on('end', () => {
+          if (finished || !parse(buffer)) {
+            return
+          }
+
+          if (header === null) {
+            return finish(LevelDBProxyDecodeError('The import data is empty.'))
+          }
+
+          write(() => finish())
+        })
+      }
+
+      let remove = () => {
+        // Remove the existing data in batches.
+        let stream = db.createKeyStream(this.namespaceRange())
+
+        stream.on('data', (key) => {
+          if (!this.ownsKey(key) || key === salt) {
+            return
+          }
+
+          batch.push({
+            type: 'del',
+            key: key,
+            keyEncoding: 'string'
+          })
+
+          if (batch.length >= size) {
+            stream.pause()
+            db.batch(batch.splice(0), (err) => {
+              if (err) {
+                return finish(wrap(LevelDBProxyWriteError, 'Failed to remove the existing data.', err))
+              }
+
+              stream.resume()
+            })
+          }
+        })
+        .on('error', (err) => {
+          finish(wrapRead('Failed to read the existing data.', err))
+        })
+        .on('end', () => {
+          db.batch(batch.splice(0), (err) => {
+            if (err) {
+              return finish(wrap(LevelDBProxyWriteError, 'Failed to remove the existing data.', err))
+            }
+
+            if (!finished) {
+              read()
+            }
+          })
+        })
+      }
+
+      if (mode === 'merge') {
+        return read()
+      }
+
+      // The existing data is only removed once the file has been opened.
+      if (input !== source) {
+        return input.once('open', remove)
       }
+
+      remove()
+    }).catch(complete)
+  }
+
+  /**
+   * @method stats
+   * Summarizes the data stored by the proxy (restricted to the #namespace).
+   * @param {function} [callback]
+   * Receives an error (or `null`) and an object containing the number of
+   * record/field `keys`, the number of `metadata` keys (of which
+   * `indexEntries` are secondary index entries), the `bytes` used by the
+   * record/field keys and (stored) values, the stored schema `version` (or
+   * `null`), the number of `compressed` values and the `compressionRatio`
+   * (the uncompressed size of the values divided by their compressed size).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the statistics.
+   */
+  stats (callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.stats((err, stats) => err ? reject(err) : resolve(stats))
+      })
     }
 
-    if (!config.directory) {
-      throw new Error('No database configuration detected.')
+    let stats = {
+      keys: 0,
+      metadata: 0,
+      indexEntries: 0,
+      bytes: 0,
+      version: null,
+      compressed: 0,
+      compressionRatio: 1
     }
 
-    if (!NGN.util.pathReadable(config.directory)) {
-      console.warn(config.directory + ' does not exist or cannot be found. It will be created automatically if any data operation is requested.')
+    let size = 0
+    let compressedSize = 0
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'stats',
+        error: err
+      }, callback)
     }
 
-    super(config)
+    this.op((db, done) => {
+      let meta = this.toKey('\x00')
+      let index = this.metaKey('index')
+      let version = this.metaKey('schema', 'version')
 
-    Object.defineProperties(this, {
-      /**
-       * @cfg {string} directory
-       * Path to the LevelDB database directory.
-       */
-      directory: NGN.const(config.directory),
+      // Read the stored values (as they are on disk).
+      NGN.coalesce(db.source, db).createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, this.namespaceRange())).on('data', (item) => {
+        if (!this.ownsKey(item.key)) {
+          return
+        }
 
-      leveldb: NGN.privateconst(require('levelup'))
-    })
+        let value = null
+        let original = null
+
+        // Values which cannot be decrypted (without the key) are only counted.
+        try {
+          value = this.decrypt(item.value, item.key)
+          original = this.decompress(value)
+        } catch (e) {}
+
+        if (item.key.indexOf(meta) !== 0) {
+          stats.keys++
+          stats.bytes += Buffer.byteLength(item.key) + Buffer.byteLength(item.value)
+
+          if (value !== original) {
+            stats.compressed++
+            compressedSize += Buffer.byteLength(value)
+            size += Buffer.byteLength(original)
+          }
+
+          return
+        }
+
+        stats.metadata++
+
+        if (item.key.indexOf(index) === 0) {
+          stats.indexEntries++
+        } else if (item.key === version) {
+          stats.version = original === null ? null : parseInt(original, 10)
+        }
+      })
+      .on('error', (err) => {
+        done()
+        fail(wrapRead('Failed to read the data.', err))
+      })
+      .on('end', () => {
+        if (compressedSize > 0) {
+          stats.compressionRatio = Math.round(size / compressedSize * 100) / 100
+        }
+
+        done()
+        callback(null, stats)
+      })
+    }).catch(fail)
   }
 
-  op (fn) {
-    // console.log('Opening LevelDB')
-    let db = this.leveldb(this.directory)
-    fn(db, function () {
-      // console.log('Closing LevelDB')
-      db.close()
-    })
+  /**
+   * @method compact
+   * Compacts the underlying storage of the keys within the #namespace
+   * (or the entire database), reclaiming the space used by deleted and
+   * overwritten values. Compaction is only supported by the default
+   * (leveldown) #backend. Other backends fail with a LevelDBProxyWriteError.
+   * @param {function} [callback]
+   * Receives an error (or `null`).
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * after the compaction is complete.
+   */
+  compact (callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.compact((err) => err ? reject(err) : resolve())
+      })
+    }
+
+    let fail = (err) => {
+      this.raise({
+        operation: 'compact',
+        error: err
+      }, callback)
+    }
+
+    this.op((db, done) => {
+      // levelup does not expose compaction, so it is requested from the
+      // leveldown instance (which levelup wraps in a deferred-open layer).
+      let backend = NGN.coalesce(db.source, db).db
+
+      if (backend && !NGN.isFn(backend.compactRange) && backend._db) {
+        backend = backend._db
+      }
+
+      if (!backend || !NGN.isFn(backend.compactRange)) {
+        done()
+        return fail(LevelDBProxyWriteError('Compaction is not supported by the LevelDB backend.'))
+      }
+
+      let range = this.namespaceRange()
+
+      backend.compactRange(NGN.coalesce(range.gte, '\x00'), NGN.coalesce(range.lt, '\xff'), (err) => {
+        done()
+
+        if (err) {
+          return fail(wrap(LevelDBProxyWriteError, 'Failed to compact the database.', err))
+        }
+
+        callback(null)
+      })
+    }).catch(fail)
   }
 
-  flatten (key, value) {
-    return {
-      type: 'put',
-      key: key.toString(),
-      value: value,
-      keyEncoding: 'string',
-      valueEncoding: 'json'
+  /**
+   * @property {boolean} encrypted
+   * Indicates stored values are encrypted (see #encryption).
+   * @readonly
+   */
+  get encrypted () {
+    return this._keyring !== null
+  }
+
+  /**
+   * @method unlock
+   * Derives the keys of encryption passphrases (see #encryption) with the
+   * salt stored in the database. The salt is generated when the database
+   * does not have one yet.
+   * @return {Promise}
+   * @private
+   */
+  unlock () {
+    if (this._keyring === null || !this._keyring.locked()) {
+      return Promise.resolve()
+    }
+
+    if (this._unlocking === null) {
+      let key = this.metaKey('encryption', 'salt')
+
+      this._unlocking = new Promise((resolve, reject) => {
+        this.open((err, db) => {
+          if (err) {
+            return reject(err)
+          }
+
+          db.get(key, { valueEncoding: 'utf8' }, (err, salt) => {
+            if (err && !err.notFound) {
+              return reject(wrapRead('Failed to read the encryption salt.', err))
+            }
+
+            if (!err) {
+              return resolve(Buffer.from(salt, 'base64'))
+            }
+
+            salt = require('crypto').randomBytes(16)
+
+            db.put(key, salt.toString('base64'), { valueEncoding: 'utf8' }, (err) => {
+              if (err) {
+                return reject(wrap(LevelDBProxyWriteError, 'Failed to write the encryption salt.', err))
+              }
+
+              resolve(salt)
+            })
+          })
+        })
+      }).then((salt) => {
+        this._unlocking = null
+        this._keyring.unlock(salt)
+      }, (err) => {
+        this._unlocking = null
+        throw err
+      })
     }
+
+    return this._unlocking
   }
 
-  format (data) {
-    let results = []
+  /**
+   * @property {boolean} transformed
+   * Indicates stored values are transformed (see #handle), because they
+   * are compressed or encrypted, or the model has fields (or relationships)
+   * which may contain values of a type codec (see LevelDBProxy.registerCodec).
+   * @readonly
+   * @private
+   */
+  get transformed () {
+    if (this.compression !== null || this._keyring !== null) {
+      return true
+    }
 
-    if (data) {
-      if (Array.isArray(data)) {
-        data.forEach((item, index) => {
-          results.push(this.flatten(NGN.coalesce(item[this.idAttribute], index), item))
+    // The model is unknown until the proxy is attached to a store/model.
+    if (this.type === null) {
+      return false
+    }
+
+    if (this._transformed === null) {
+      let model = this.type === 'store' ? new this.store.model() : this // eslint-disable-line new-cap
+      let fields = NGN.coalesce(model.fields, {})
+
+      this._transformed = Object.keys(NGN.coalesce(model.joins, {})).length > 0 ||
+        Object.keys(fields).some((field) => codecForType(fields[field].type) !== null)
+    }
+
+    return this._transformed
+  }
+
+  /**
+   * @method handle
+   * Wraps a LevelDB handle so writes are reported to the watchers (see
+   * #watch). When values are #transformed, they are also encoded with the
+   * type codecs (see LevelDBProxy.registerCodec), and compressed and/or
+   * encrypted transparently (see #seal and #unseal).
+   * @param {object} db
+   * The LevelDB handle.
+   * @return {object}
+   * @private
+   */
+  handle (db) {
+    if (this._handle === null || this._handle.db !== db || this._handle.transformed !== this.transformed) {
+      let handle = this.transformed
+        ? transformHandle(db, (value, key) => this.seal(value, key), (value, key) => this.unseal(value, key))
+        : Object.create(db)
+
+      let write = handle.batch.bind(handle)
+
+      // Writes made by operations (see #op) are reported to the watchers.
+      // Journaled batches are reported by #writeBatch instead.
+      handle.batch = function (operations, options, callback) {
+        if (!Array.isArray(operations) || (options && options.journaled === true)) {
+          return write.apply(handle, arguments)
+        }
+
+        return observe(operations, options, callback)
+      }
+
+      handle.put = function (key, value, options, callback) {
+        return observe([{ type: 'put', key: key, value: value }], options, callback)
+      }
+
+      handle.del = function (key, options, callback) {
+        return observe([{ type: 'del', key: key }], options, callback)
+      }
+
+      let observe = (operations, options, callback) => {
+        if (NGN.isFn(options)) {
+          callback = options
+          options = {}
+        }
+
+        options = options || {}
+        callback = NGN.isFn(callback) ? callback : () => {}
+
+        if (this._watchers.size === 0) {
+          return write(operations, options, callback)
+        }
+
+        operations = operations.map((operation) => {
+          return operation.type !== 'put' ? operation : Object.assign({
+            valueEncoding: NGN.coalesce(options.valueEncoding, options.encoding)
+          }, operation)
         })
-      } else {
-        Object.keys(data).forEach((attribute) => {
-          results.push({
-            type: 'put',
-            key: attribute.toString().trim(),
-            value: data[attribute] === null ? '#NIL' : data[attribute],
-            keyEncoding: 'string',
-            valueEncoding: Array.isArray(data[attribute]) ? 'json' : (typeof data[attribute] === 'object' ? 'json' : typeof data[attribute])
+
+        this.readChanges(handle, operations, (err, changes) => {
+          if (err) {
+            return callback(err)
+          }
+
+          write(operations, options, (err) => {
+            if (err) {
+              return callback(err)
+            }
+
+            this.notify(changes, () => callback(null))
           })
         })
       }
+
+      this._handle = {
+        db: db,
+        handle: handle,
+        transformed: this.transformed
+      }
     }
 
-    return results
+    return this._handle.handle
+  }
+
+  /**
+   * @method seal
+   * Transforms an encoded value into the value which is stored
+   * (i.e. compresses and encrypts it). The encryption salt (see #unlock)
+   * is stored as-is.
+   * @param {string} value
+   * @param {string} key
+   * The LevelDB key of the value.
+   * @return {string}
+   * @private
+   */
+  seal (value, key) {
+    if (key === this.metaKey('encryption', 'salt')) {
+      return value
+    }
+
+    return this.encrypt(this.compress(value), key)
+  }
+
+  /**
+   * @method unseal
+   * Restores an encoded value from the stored value (i.e. decrypts and
+   * decompresses it).
+   * @param {string} value
+   * @param {string} key
+   * The LevelDB key of the value.
+   * @return {string}
+   * @private
+   */
+  unseal (value, key) {
+    return this.decompress(this.decrypt(value, key))
+  }
+
+  /**
+   * @method compress
+   * Compresses a value when it exceeds the #compressionThreshold.
+   * @param {string} value
+   * @return {string}
+   * @private
+   */
+  compress (value) {
+    if (this.compression === null || Buffer.byteLength(value) < this.compressionThreshold) {
+      return value
+    }
+
+    let compressed = COMPRESSED + this.compression + ':' + COMPRESSORS[this.compression].compress(Buffer.from(value, 'utf8')).toString('base64')
+
+    return compressed.length < value.length ? compressed : value
+  }
+
+  /**
+   * @method decompress
+   * Decompresses a value. Values which are not compressed are returned
+   * as-is.
+   * @param {string} value
+   * @return {string}
+   * @private
+   */
+  decompress (value) {
+    value = Buffer.isBuffer(value) ? value.toString('utf8') : value
+
+    if (typeof value !== 'string' || value.indexOf(COMPRESSED) !== 0) {
+      return value
+    }
+
+    let separator = value.indexOf(':', COMPRESSED.length)
+    let algorithm = value.substring(COMPRESSED.length, separator)
+
+    if (!COMPRESSORS.hasOwnProperty(algorithm)) {
+      throw LevelDBProxyDecodeError('The value is compressed with an unknown algorithm (' + algorithm + ').')
+    }
+
+    return COMPRESSORS[algorithm].decompress(Buffer.from(value.substr(separator + 1), 'base64')).toString('utf8')
+  }
+
+  /**
+   * @method encrypt
+   * Encrypts a value (see #encryption). The key of the value is
+   * authenticated along with it, so values cannot be moved to other keys.
+   * @param {string} value
+   * @param {string} key
+   * The LevelDB key of the value.
+   * @return {string}
+   * @private
+   */
+  encrypt (value, key) {
+    if (this._keyring === null) {
+      return value
+    }
+
+    const crypto = require('crypto')
+
+    let current = this._keyring.current
+    let iv = crypto.randomBytes(12)
+    let cipher = crypto.createCipheriv(this._keyring.algorithm, current.key, iv, { authTagLength: 16 })
+
+    cipher.setAAD(Buffer.from(String(key), 'utf8'))
+
+    let data = Buffer.concat([cipher.update(Buffer.from(value, 'utf8')), cipher.final()])
+
+    return ENCRYPTED + current.id + ':' + Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64')
+  }
+
+  /**
+   * @method decrypt
+   * Decrypts a value. Values which are not encrypted (or any value, when
+   * #encryption is not configured) are returned as-is.
+   * @param {string} value
+   * @param {string} key
+   * The LevelDB key of the value.
+   * @return {string}
+   * @private
+   */
+  decrypt (value, key) {
+    value = Buffer.isBuffer(value) ? value.toString('utf8') : value
+
+    if (this._keyring === null || typeof value !== 'string' || value.indexOf(ENCRYPTED) !== 0) {
+      return value
+    }
+
+    const crypto = require('crypto')
+
+    let separator = value.indexOf(':', ENCRYPTED.length)
+    let id = value.substring(ENCRYPTED.length, separator)
+
+    if (!this._keyring.keys.hasOwnProperty(id)) {
+      throw LevelDBProxyDecodeError('The value is encrypted with an unknown key (' + id + ').')
+    }
+
+    let payload = Buffer.from(value.substr(separator + 1), 'base64')
+    let decipher = crypto.createDecipheriv(this._keyring.algorithm, this._keyring.keys[id].key, payload.slice(0, 12), { authTagLength: 16 })
+
+    decipher.setAAD(Buffer.from(String(key), 'utf8'))
+    decipher.setAuthTag(payload.slice(12, 28))
+
+    try {
+      return Buffer.concat([decipher.update(payload.slice(28)), decipher.final()]).toString('utf8')
+    } catch (e) {
+      throw wrap(LevelDBProxyDecodeError, 'The value of ' + key + ' could not be authenticated.', e)
+    }
   }
 
   /**
-   * @method save
-   * Save data to the LevelDB file.
+   * @method rotateKey
+   * Re-encrypts every stored value (within the #namespace) with a new key,
+   * in batches. Values which are not encrypted yet are encrypted as well,
+   * so this can also be used to encrypt existing data. New values are
+   * encrypted with the new key as soon as the rotation begins. The previous
+   * key remains available to decrypt values for the lifetime of the proxy
+   * (configure it as one of the `previousKeys` should the rotation be
+   * interrupted).
+   *
+   * Avoid writing to the database while the rotation is in progress.
+   *
+   * ```js
+   * proxy.rotateKey(newKey).then((count) => { ... })
+   * ```
+   * @param {Buffer|string} key
+   * The new encryption key.
    * @param {function} [callback]
-   * An optional callback executes after the save is complete. Receives no arguments.
-   * @fires save
-   * Fired after the save is complete.
+   * Receives an error (or `null`) and the number of re-encrypted values.
+   * @return {Promise}
+   * When no callback is provided, a promise is returned which resolves
+   * with the number of re-encrypted values.
+   * @fires key.rotate
+   * Fired with the number of re-encrypted values after the rotation.
+   * @fires error
+   * Fired when the rotation fails.
    */
-  save (callback) {
-    require('leveldown').destroy(this.directory, () => {
-      this.op((db, done) => {
-        db.batch(this.format(this.store.data), () => {
-          done()
-          setTimeout(() => {
-            this.emit('save')
-            this.store.emit('save')
-            if (NGN.isFn(callback)) {
-              callback()
-            }
-          }, 10)
-        })
+  rotateKey (key, callback) {
+    if (!NGN.isFn(callback)) {
+      return new Promise((resolve, reject) => {
+        this.rotateKey(key, (err, count) => err ? reject(err) : resolve(count))
       })
-    })
-  }
+    }
 
-  /**
-   * @method fetch
-   * Automatically populates the store/record with the full set of
-   * data from the LevelDB.
-   * @param {function} [callback]
-   * An optional callback executes after the fetch and parse is complete. Receives no arguments.
-   * @fires fetch
-   * Fired after the fetch and parse is complete.
-   */
-  fetch (callback) {
-    if (this.type === 'store') {
-      let dataset = []
+    let fail = (err) => {
+      this.raise({
+        operation: 'rotateKey',
+        error: err
+      }, callback)
+    }
 
-      this.op((db, done) => {
-        db.createValueStream({
-          keyEncoding: 'number',
-          valueEncoding: 'json'
-        }).on('data', (data) => {
-          dataset.push(data)
-        })
-        .on('error', (err) => {
-          console.log(err)
-          done()
-          throw err
+    if (this._keyring === null) {
+      return fail(LevelDBProxyWriteError('Encryption is not configured.'))
+    }
+
+    try {
+      this._keyring.current = this._keyring.add(key)
+    } catch (e) {
+      return fail(wrap(LevelDBProxyWriteError, 'Invalid encryption key.', e))
+    }
+
+    let count = 0
+    let salt = this.metaKey('encryption', 'salt')
+
+    this.op((db, done) => {
+      let batch = []
+      let stream = db.createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, this.namespaceRange()))
+
+      let failed = false
+
+      let write = (next) => {
+        let operations = batch.splice(0)
+
+        db.batch(operations, { journaled: true }, (err) => {
+          if (err) {
+            failed = true
+            done()
+            return fail(wrap(LevelDBProxyWriteError, 'Failed to write the re-encrypted values.', err))
+          }
+
+          count += operations.length
+          next()
         })
-        .on('end', () => {
-          console.log(dataset)
-          this.store.reload(dataset)
-          done()
-          setTimeout(callback, 10)
+      }
+
+      stream.on('data', (item) => {
+        if (!this.ownsKey(item.key) || item.key === salt) {
+          return
+        }
+
+        batch.push({
+          type: 'put',
+          key: item.key,
+          value: item.value,
+          keyEncoding: 'string',
+          valueEncoding: 'utf8'
         })
+
+        if (batch.length >= 500) {
+          stream.pause()
+          write(() => stream.resume())
+        }
       })
-    } else {
-      this.op((db, fetchcomplete) => {
-        let keys = []
-        console.log('??????')
-        db.createKeyStream().on('data', (key) => {
-          console.log('>>>>>>', key)
-          if (this.hasOwnProperty(key)) {
-            keys.push(key)
+      .on('error', (err) => {
+        done()
+        fail(wrapRead('Failed to read the stored values.', err))
+      })
+      .on('end', () => {
+        write(() => {
+          if (failed) {
+            return
           }
+
+          done()
+          this.emit('key.rotate', count)
+          callback(null, count)
         })
-        .on('error', (err) => {
-          fetchcomplete()
-          throw err
-        })
-        .on('end', () => {
-          fetchcomplete()
+      })
+    }).catch(fail)
+  }
 
-          keys = keys.map((key) => {
-            return {
-              key: key,
-              type: this.getFieldType(key)
-            }
-          })
-
-          let TaskRunner = require('shortbus')
-          let tasks = new TaskRunner()
-          let data = {}
-
-          keys.forEach((item) => {
-            tasks.add((next) => {
-              this.op((database, finished) => {
-                database.get(item.key, {
-                  keyEncoding: 'string',
-                  valueEncoding: item.type
-                }, (err, value) => {
-                  if (err) {
-                    finished()
-                    throw err
-                  }
-
-                  if (['string', 'number', 'boolean', 'object'].indexOf(item.type) >= 0) {
-                    let type = this.getFieldType(item.key)
-
-                    if (value.indexOf('#NIL') >= 0) {
-                      value = null
-                    } else if (type === 'boolean') {
-                      value = value === 'true'
-                    } else if (type === 'number') {
-                      if (value.indexOf('.') < 0) {
-                        value = parseInt(value, 10)
-                      } else {
-                        value = parseFloat(value)
-                      }
-                    } else if (type === 'object') {
-                      value = JSON.parse(value)
-                    }
-
-                    type = null
-                  }
-
-                  data[item.key] = value
-                  finished()
-                  setTimeout(() => {
-                    next()
-                  }, 10)
-                })
-              })
-            })
-          })
+  /**
+   * @method decodeField
+   * Converts a raw model field value (as stored in LevelDB) to the
+   * data type of the field.
+   * @param {string} field
+   * The name of the field.
+   * @param {string} type
+   * The encoding of the field (see #getFieldType).
+   * @param {any} value
+   * The raw value.
+   * @return {any}
+   * @private
+   */
+  decodeField (field, type, value) {
+    if (['string', 'number', 'boolean', 'object'].indexOf(type) < 0) {
+      return value
+    }
 
-          tasks.on('complete', () => {
-            keys = null
+    if (value.indexOf('#NIL') >= 0) {
+      return null
+    }
 
-            if (Object.keys(data).length > 0) {
-              this.store.load(data)
-            }
+    switch (type) {
+      case 'boolean':
+        return value === 'true'
 
-            setTimeout(callback, 20)
-          })
+      case 'number':
+        return value.indexOf('.') < 0 ? parseInt(value, 10) : parseFloat(value)
 
-          setTimeout(() => {
-            db.close()
-            tasks.run(true)
-          }, 10)
-        })
-      })
+      case 'object':
+        return decodeTyped(JSON.parse(value))
     }
+
+    return value
   }
 
+  /**
+   * @method getFieldType
+   * Identifies the LevelDB encoding of a model field. Fields with a type
+   * codec (see LevelDBProxy.registerCodec) are stored as JSON.
+   * @param {string} field
+   * The name of the field.
+   * @return {string}
+   * The encoding, or `null` if the field does not exist in the model.
+   * @fires error
+   * Fired when the field does not exist in the model.
+   */
   getFieldType (field) {
     let pattern = /function\s(.*)\(\).*/gi
     let type = 'json'
 
     if (!this.joins.hasOwnProperty(field)) {
       if (!this.fields.hasOwnProperty(field)) {
-        console.warn(field + ' is not a field in the model.')
+        this.raise({
+          operation: 'getFieldType',
+          key: field,
+          error: LevelDBProxyDecodeError(field + ' is not a field in the model.')
+        })
+
         return null
       }
 
+      if (codecForType(this.fields[field].type) !== null) {
+        return 'json'
+      }
+
       type = pattern.exec(this.fields[field].type.toString())
       type = NGN.coalesce(type, [null, 'string'])[1].toLowerCase()
     } else {
@@ -264,16 +7454,76 @@ class LevelDbProxy extends NGN.DATA.Proxy {
     return type === 'array' ? 'json' : type
   }
 
+  /**
+   * @method raise
+   * Reports a failed operation. A structured `error` event is emitted by the
+   * proxy and the store/model, and the error is passed to the callback (if
+   * any). When nothing handles the error, a warning is written to the
+   * console. Errors are never thrown, since most are raised from LevelDB
+   * callbacks where a thrown error cannot be caught.
+   * @param {object} detail
+   * @param {string} detail.operation
+   * The failed operation, such as `save`, `fetch` or `record.update`.
+   * @param {Error} detail.error
+   * The error.
+   * @param {string} [detail.key]
+   * The LevelDB key involved in the operation.
+   * @param {any} [detail.record]
+   * The record (or field change) involved in the operation.
+   * @param {function} [callback]
+   * Receives the error.
+   * @fires error
+   * Fired with the `detail` object.
+   * @private
+   */
+  raise (detail, callback) {
+    let handled = NGN.isFn(callback)
+
+    detail.key = NGN.coalesce(detail.key, null)
+    detail.record = NGN.coalesce(detail.record, null)
+
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', detail)
+      handled = true
+    }
+
+    if (this.store && this.store.listenerCount('error') > 0) {
+      this.store.emit('error', detail)
+      handled = true
+    }
+
+    if (!handled) {
+      console.warn(detail.error.message)
+      return
+    }
+
+    if (NGN.isFn(callback)) {
+      callback(detail.error)
+    }
+  }
+
+  /**
+   * @method parse
+   * Rebuilds store records from the keys of the exploded #layout
+   * (i.e. `<id>.pet.name`).
+   * @param {array} dataset
+   * `{ key, value }` objects (unprefixed keys and decoded values), ordered
+   * by key.
+   * @return {array}
+   * The record data, in the order the records appear in the dataset.
+   * @private
+   */
   parse (dataset) {
+    let resultset = []
+
     if (this.type === 'store') {
-      let base = new this.model() // eslint-disable-line new-cap
+      let base = new this.store.model() // eslint-disable-line new-cap
       let currentId = null
-      let resultset = []
       let currentData = {}
 
       dataset.forEach((item) => {
-        let keys = item.key.split('.')
-        let id = keys.shift()
+        let id = this.recordId(item.key)
+        let keys = item.key === id ? [] : item.key.substr(id.length + 1).split('.')
 
         if (currentId !== id) {
           if (currentId !== null) {
@@ -285,24 +7535,24 @@ class LevelDbProxy extends NGN.DATA.Proxy {
           currentId = id
         }
 
-        let key = keys.shift()
-        if (keys.length === 0) {
-          currentData[key] = item.value
-        } else {
-          currentData[key] = currentData[key] || {}
-          key = currentData[key]
-          while (keys.length > 0) {
-            let newkey = keys.shift()
-            key[newkey] = key[newkey] || (keys.length === 0 ? item.value : {})
-          }
+        let target = currentData
+
+        while (keys.length > 1) {
+          let key = keys.shift()
+
+          target[key] = target[key] || {}
+          target = target[key]
         }
+
+        target[keys[0]] = item.value
       })
 
-      if (Object.keys(currentData).length > 0) {
+      if (currentId !== null) {
         resultset.push(currentData)
-        currentData = null
       }
     }
+
+    return resultset
   }
 
   /**
@@ -315,174 +7565,478 @@ class LevelDbProxy extends NGN.DATA.Proxy {
    * Triggered when a record modification is persisted to the data store.
    * @fires live.delete
    * Triggered when a record is removed from the data store.
+   * @fires live.conflict
+   * Triggered with the conflict when a record write is rejected because the
+   * record was modified by another writer (see #revisionField).
    */
   enableLiveSync () {
     if (this.type === 'model') {
       this.on('field.create', (change) => {
+        if (this.liveSync !== null) {
+          return this.queue(change.field, {
+            value: NGN.coalesce(this[change.field], this.fields[change.field].default, null),
+            type: this.getFieldType(change.field)
+          }, 'live.create', change)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('field.create', change.field, change, written)
+
         this.op((db, done) => {
-          db.put(change.field, NGN.coalesce(this[change.field], this.fields[change.field].default, null), {
+          this.writeBatch(db, [{
+            type: 'put',
+            key: this.toKey(change.field),
+            value: NGN.coalesce(this[change.field], this.fields[change.field].default, null),
             keyEncoding: 'string',
             valueEncoding: this.getFieldType(change.field)
-          }, (err) => {
+          }], (err) => {
+            done()
+
             if (err) {
-              done()
-              throw err
+              return failed(err)
             }
 
-            done()
             setTimeout(() => {
               this.emit('live.create', change)
               this.store.emit('live.create', change)
+              written()
             }, 10)
           })
-        })
+        }).catch(failed)
       })
 
       this.on('field.update', (change) => {
-        this.op((db, done) => {
-          let key = change.field
-          let val = change.new
-          let type = null
-
-          if (change.join) {
-            key = change.field.split('.')[0]
-            val = this[key].data
-            type = 'json'
-          } else {
-            type = this.getFieldType(change.field)
-          }
+        let key = change.field
+        let val = change.new
+        let type = null
+
+        if (change.join) {
+          key = change.field.split('.')[0]
+          val = this[key].data
+          type = 'json'
+        } else {
+          type = this.getFieldType(change.field)
+        }
 
-          db.put(key, val, {
+        if (this.liveSync !== null) {
+          return this.queue(key, {
+            value: val,
+            type: type
+          }, 'live.update', change)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('field.update', key, change, written)
+
+        this.op((db, done) => {
+          this.writeBatch(db, [{
+            type: 'put',
+            key: this.toKey(key),
+            value: val,
             keyEncoding: 'string',
             valueEncoding: type
-          }, (err) => {
+          }], (err) => {
+            done()
+
             if (err) {
-              done()
-              throw err
+              return failed(err)
             }
 
             key = null
             val = null
             type = null
 
-            done()
             setTimeout(() => {
               this.emit('live.update', change)
               this.store.emit('live.update', change)
+              written()
             }, 10)
           })
-        })
+        }).catch(failed)
       })
 
       this.on('field.remove', (change) => {
+        if (this.liveSync !== null) {
+          return this.queue(change.field, null, 'live.delete', change)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('field.remove', change.field, change, written)
+
         this.op((db, done) => {
-          db.del(change.field, {
-            keyEncoding: 'string',
-            valueEncoding: this.getFieldType(change.field)
-          }, (err) => {
+          this.writeBatch(db, [{
+            type: 'del',
+            key: this.toKey(change.field),
+            keyEncoding: 'string'
+          }], (err) => {
+            done()
+
             if (err) {
-              done()
-              throw err
+              return failed(err)
             }
 
-            done()
             setTimeout(() => {
               this.emit('live.delete', change)
               this.store.emit('live.delete', change)
+              written()
             }, 10)
           })
-        })
+        }).catch(failed)
       })
 
       // relationship.create is unncessary because no data is available
       // when a relationship is created. All related data will trigger a
       // `field.update` event.
       this.on('relationship.remove', (change) => {
+        if (this.liveSync !== null) {
+          return this.queue(change.field, null, 'live.delete', change)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('relationship.remove', change.field, change, written)
+
         this.op((db, done) => {
-          db.del(change.field, (err) => {
+          this.writeBatch(db, [{
+            type: 'del',
+            key: this.toKey(change.field)
+          }], (err) => {
+            done()
+
             if (err) {
-              throw err
+              return failed(err)
             }
 
-            done()
             setTimeout(() => {
               this.emit('live.delete', change)
               this.store.emit('live.delete', change)
+              written()
             }, 10)
           })
-        })
+        }).catch(failed)
       })
     } else {
       // Persist new records
       this.on('record.create', (record) => {
+        if (record[record.idAttribute] === null) {
+          record.setSilent(record.idAttribute, NGN.DATA.util.GUID())
+        }
+
+        let id = idString(record[record.idAttribute])
+
+        if (this.liveSync !== null) {
+          return this.queue(id, record.data, 'live.create', record)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('record.create', this.toKey(id), record, written)
+
         this.op((db, done) => {
-          if (record[record.idAttribute] === null) {
-            record.setSilent(record.idAttribute, NGN.DATA.util.GUID())
-          }
+          this.persist(db, id, record.data, (err, previous, data) => {
+            done()
 
-          db.put(record[record.idAttribute].toString(), record.data, {
-            keyEncoding: 'string',
-            valueEncoding: 'json'
-          }, (err) => {
             if (err) {
-              throw err
+              return failed(err)
             }
 
-            done()
+            this.revision(record, data)
+
             setTimeout(() => {
               this.emit('live.create', record)
               this.store.emit('live.create', record)
+              written()
             }, 10)
-          })
-        })
+          }, record)
+        }).catch(failed)
       })
 
       // Update existing records
       this.on('record.update', (record, change) => {
+        let id = idString(record[record.idAttribute])
+
+        if (this.liveSync !== null) {
+          return this.queue(id, record.data, 'live.update', record)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('record.update', this.toKey(id), record, written)
+
         this.op((db, done) => {
-          db.put(record[record.idAttribute].toString(), record.data, {
-            keyEncoding: 'string',
-            valueEncoding: 'json'
-          }, (err) => {
+          this.persist(db, id, record.data, (err, previous, data) => {
+            done()
+
             if (err) {
-              throw err
+              return failed(err)
             }
 
-            done()
+            this.revision(record, data)
+
             setTimeout(() => {
               this.emit('live.update', record)
               this.store.emit('live.update', record)
+              written()
             }, 10)
-          })
-        })
+          }, record)
+        }).catch(failed)
       })
 
       // Remove old records
       this.on('record.delete', (record) => {
+        let id = idString(record[record.idAttribute])
+
+        if (this.liveSync !== null) {
+          return this.queue(id, null, 'live.delete', record)
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('record.delete', this.toKey(id), record, written)
+
         this.op((db, done) => {
-          db.del(record[record.idAttribute], {
-            keyEncoding: 'string',
-            valueEncoding: 'json'
-          }, (err) => {
+          this.persist(db, id, null, (err) => {
+            done()
+
             if (err) {
-              throw err
+              return failed(err)
             }
 
-            done() // eslint-disable-line
-
             setTimeout(() => {
               this.emit('live.delete', record)
               this.store.emit('live.delete', record)
+              written()
             }, 10)
+          }, record)
+        }).catch(failed)
+      })
+
+      this.on('clear', () => {
+        if (this._reloading) {
+          return
+        }
+
+        let written = this.trackWrite()
+        let failed = this.writeFailure('clear', null, null, written)
+
+        // Pending changes are written first, so their events are fired.
+        this.commit((err, detail) => {
+          this.committed(err, detail)
+
+          this.erase((err) => {
+            if (err) {
+              return failed(err)
+            }
+
+            this.emit('live.delete', null)
+            this.store.emit('live.delete', null)
+            written()
           })
         })
       })
+    }
+  }
 
-      this.on('clear', () => {
-        require('leveldown').destroy(this.directory, () => {
-          this.emit('live.delete', null)
-          this.store.emit('live.delete', null)
+  /**
+   * @method erase
+   * Removes all of the proxy's data. When the proxy uses a #namespace (or
+   * shares the LevelDB handle with other proxies), only the keys within the
+   * namespace are removed. Otherwise, the database directory is destroyed
+   * (other #backend types have every key removed instead), unless it
+   * contains namespaced keys. The #changeLog is retained, and a `clear`
+   * entry is appended to it. The #history is retained too, and the removed
+   * values are added to it. In #softDelete mode, the removed records are
+   * tombstoned. When any of these are enabled (or there are watchers, see
+   * #watch), the keys are removed individually.
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  erase (callback) {
+    // The schema version is removed along with the data.
+    this._migrated = false
+
+    if (this.namespace !== null || this.shared || this.backend !== null || this.changeLog || this._history !== null || this._watchers.size > 0 || this.softDeleting) {
+      return this.eraseKeys(callback)
+    }
+
+    // The directory is not destroyed when it contains the keys of namespaced
+    // proxies (see #ownsKey).
+    this.op((db, done) => {
+      let namespaced = false
+
+      db.createKeyStream({
+        gte: '\x01',
+        lt: '\x02',
+        limit: 1,
+        keyEncoding: 'string'
+      }).on('data', () => {
+        namespaced = true
+      })
+      .on('error', (err) => {
+        done()
+        callback(err)
+      })
+      .on('end', () => {
+        done()
+
+        if (namespaced) {
+          return this.eraseKeys(callback)
+        }
+
+        this.close(() => {
+          require('leveldown').destroy(this.directory, (err) => {
+            // The encryption salt is destroyed along with the database.
+            if (!err && this._keyring !== null) {
+              this._keyring.lock()
+            }
+
+            callback(err || null)
+          })
+        })
+      })
+    }).catch(callback)
+  }
+
+  /**
+   * @method eraseKeys
+   * Removes the proxy's keys individually (see #erase).
+   * @param {function} callback
+   * Receives an error (or `null`).
+   * @private
+   */
+  eraseKeys (callback) {
+    let retained = ['changes', 'history', 'replaced', 'tombstone', 'encryption'].map((type) => this.metaRange(type))
+    let meta = this.toKey('\x00')
+    let now = Date.now()
+
+    this.op((db, done) => {
+      let batch = []
+      let versions = []
+      let removed = []
+      let records = []
+
+      db.createReadStream(Object.assign({
+        keyEncoding: 'string',
+        valueEncoding: 'utf8'
+      }, this.namespaceRange())).on('data', (item) => {
+        if (!this.ownsKey(item.key) || retained.some((range) => item.key >= range.gte && item.key < range.lt)) {
+          return
+        }
+
+        batch.push({
+          type: 'del',
+          key: item.key
+        })
+
+        if (item.key.indexOf(meta) !== 0) {
+          let key = this.fromKey(item.key)
+          let value = this.decodeValue(key, item.value)
+
+          versions.push({
+            key: key,
+            value: value,
+            exists: true,
+            to: now
+          })
+
+          removed.push({
+            operation: 'del',
+            key: key,
+            old: value,
+            new: null,
+            timestamp: now
+          })
+
+          records.push({
+            key: key,
+            value: value
+          })
+        }
+      })
+      .on('error', (err) => {
+        done()
+        callback(err)
+      })
+      .on('end', () => this.inSequence((unlock) => {
+        let entries = []
+        let history = []
+
+        series([
+          (next) => this.versionOperations(db, versions, (err, operations) => {
+            history = operations
+            next(err)
+          })
+        ].concat(this.changeLog ? [(next) => this.readSequence(db, next)] : []), (err) => {
+          if (err) {
+            unlock(err)
+            done()
+            return callback(err)
+          }
+
+          if (this.changeLog) {
+            entries.push({
+              sequence: ++this._sequence,
+              operation: 'clear',
+              key: null,
+              old: null,
+              new: null,
+              timestamp: now
+            })
+          }
+
+          let tombstones = []
+
+          if (this.softDeleting) {
+            this.assemble(records).forEach((record) => {
+              tombstones = tombstones.concat(this.tombstoneOperations(record.key, record.value, null))
+            })
+          }
+
+          db.batch(batch.concat(history, tombstones, entries.map((entry) => this.changeOperation(entry))), { journaled: true }, (err) => {
+            if (err) {
+              unlock(err)
+              done()
+              return callback(err)
+            }
+
+            // Watchers are notified of each removed key.
+            this.publish(entries)
+            unlock()
+            done()
+            this.notify(removed, () => callback(null))
+          })
         })
+      }))
+    }).catch(callback)
+  }
+
+  /**
+   * @method writeFailure
+   * Creates an error handler for a live synchronization write. Revision
+   * conflicts (see #revisionField) also fire a `live.conflict` event.
+   * @param {string} operation
+   * The name of the event which triggered the write.
+   * @param {string} key
+   * The LevelDB key being written.
+   * @param {any} record
+   * The record (or field change) being written.
+   * @param {function} written
+   * The completion function returned by #trackWrite.
+   * @return {function}
+   * Receives the error.
+   * @private
+   */
+  writeFailure (operation, key, record, written) {
+    return (err) => {
+      written()
+
+      if (err.conflict) {
+        this.emit('live.conflict', err.conflict)
+        this.store.emit('live.conflict', err.conflict)
+      }
+
+      this.raise({
+        operation: operation,
+        key: key,
+        record: record,
+        error: wrap(LevelDBProxyWriteError, 'Failed to persist ' + NGN.coalesce(key, 'the data') + '.', err)
       })
     }
   }
@@ -0,0 +1,161 @@
+'use strict'
+
+let test = require('tape')
+let fse = require('fs-extra')
+let levelup = require('levelup')
+let TaskRunner = require('shortbus')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/atomic')
+let staging = root + '.staging'
+let committed = root + '.ready'
+let backup = root + '.backup'
+
+let reset = function () {
+  ;[root, staging, committed, backup].forEach((directory) => {
+    fse.removeSync(directory)
+  })
+}
+
+// Create a raw LevelDB database containing the specified key/value pairs.
+let create = function (directory, data) {
+  return (next) => {
+    levelup(directory, (err, db) => {
+      if (err) {
+        throw err
+      }
+
+      db.batch(Object.keys(data).map((key) => {
+        return {
+          type: 'put',
+          key: key,
+          value: data[key]
+        }
+      }), () => {
+        db.close(next)
+      })
+    })
+  }
+}
+
+let readAll = function (proxy, callback) {
+  let data = {}
+
+  proxy.op((db, done) => {
+    db.createReadStream().on('data', (item) => {
+      data[item.key] = item.value
+    }).on('end', () => {
+      done()
+      callback(data)
+    })
+  })
+}
+
+test('Atomic Full Save', function (t) {
+  reset()
+
+  let Person = new NGN.DATA.Model({
+    autoid: true,
+    fields: {
+      firstname: null,
+      lastname: null
+    }
+  })
+
+  let People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.LevelDBProxy(root)
+  })
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  People.proxy.save({ full: true }, () => {
+    t.ok(!fse.existsSync(staging) && !fse.existsSync(committed) && !fse.existsSync(backup), 'Rewrite directories are removed after the swap.')
+
+    People.add({
+      firstname: 'The',
+      lastname: 'Master'
+    })
+
+    People.proxy.save({ full: true }, () => {
+      readAll(People.proxy, (data) => {
+        t.ok(Object.keys(data).length === 2, 'Rewritten data replaces the live database.')
+
+        People.proxy.close(() => {
+          reset()
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+let scenarios = [{
+  name: 'Failure While Writing Staging Database',
+  setup: {
+    [root]: { value: 'original' },
+    [staging]: { value: 'partial' }
+  },
+  expected: 'original'
+}, {
+  name: 'Failure After Commit',
+  setup: {
+    [root]: { value: 'original' },
+    [committed]: { value: 'rewritten' }
+  },
+  expected: 'rewritten'
+}, {
+  name: 'Failure During Swap',
+  setup: {
+    [backup]: { value: 'original' },
+    [committed]: { value: 'rewritten' }
+  },
+  expected: 'rewritten'
+}, {
+  name: 'Failure Before Backup Removal',
+  setup: {
+    [root]: { value: 'rewritten' },
+    [backup]: { value: 'original' }
+  },
+  expected: 'rewritten'
+}, {
+  name: 'Missing Live Database',
+  setup: {
+    [backup]: { value: 'original' }
+  },
+  expected: 'original'
+}]
+
+scenarios.forEach((scenario) => {
+  test('Recovery: ' + scenario.name, function (t) {
+    reset()
+
+    let tasks = new TaskRunner()
+
+    Object.keys(scenario.setup).forEach((directory) => {
+      tasks.add(create(directory, scenario.setup[directory]))
+    })
+
+    tasks.on('complete', () => {
+      let proxy = new NGNX.DATA.LevelDBProxy(root)
+
+      readAll(proxy, (data) => {
+        t.ok(data.value === scenario.expected, 'Recovered the ' + scenario.expected + ' data.')
+        t.ok(!fse.existsSync(staging) && !fse.existsSync(committed) && !fse.existsSync(backup), 'Rewrite directories are removed.')
+
+        proxy.close(() => {
+          reset()
+          t.end()
+        })
+      })
+    })
+
+    tasks.run(true)
+  })
+})
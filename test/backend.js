@@ -0,0 +1,73 @@
+'use strict'
+
+let test = require('tape')
+let fse = require('fs-extra')
+let helpers = require('./helpers')
+let memdown = require('memdown')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/backend')
+
+let createStore = function (directory) {
+  return helpers.createStore({
+    directory: directory,
+    backend: memdown
+  })
+}
+
+test('Storage Backend', function (t) {
+  let People = createStore()
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => helpers.close(People))
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 2 && People.first.lastname === 'Doctor', 'Data is stored without a directory.')
+
+      People.first.lastname = 'Who'
+
+      return People.proxy.save({ full: true })
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 2 && People.first.lastname === 'Who', 'Full rewrites are written in place.')
+
+      People.proxy.enableLiveSync()
+      People.clear()
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.stats())
+    .then((stats) => {
+      t.ok(stats.keys === 0, 'Clearing the store removes every key.')
+
+      return People.proxy.compact().then(() => null, (err) => err)
+    })
+    .then((err) => {
+      t.ok(err && err.name === 'LevelDBProxyWriteError', 'Compaction is only supported by leveldown.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      let Doctors = createStore(root)
+      let Companions = createStore(root)
+
+      Doctors.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+
+      return Doctors.proxy.save()
+        .then(() => Companions.proxy.fetch())
+        .then(() => {
+          t.ok(Companions.recordCount === 1, 'Proxies with the same directory share the database.')
+          t.ok(!fse.existsSync(root), 'Nothing is written to disk.')
+
+          return Promise.all([helpers.close(Doctors), helpers.close(Companions)])
+        })
+    })
+    .then(() => t.end())
+})
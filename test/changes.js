@@ -0,0 +1,137 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/changes')
+
+let createStore = function () {
+  return helpers.createStore({
+    directory: root,
+    changeLog: true
+  })
+}
+
+// Read the entries of a (non-live) change stream.
+let read = function (proxy, options) {
+  let entries = []
+
+  return new Promise((resolve, reject) => {
+    proxy.changes(options)
+      .on('data', (entry) => entries.push(entry))
+      .on('error', reject)
+      .on('end', () => resolve(entries))
+  })
+}
+
+test('Change Log', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => {
+      People.first.lastname = 'Who'
+
+      return People.proxy.save()
+    })
+    .then(() => read(People.proxy))
+    .then((entries) => {
+      t.ok(entries.length === 3 && entries.map((entry) => entry.sequence).join() === '1,2,3', 'Saves are logged with sequence numbers.')
+      t.ok(entries[2].operation === 'put' && entries[2].key === 'a', 'Entries identify the operation and key.')
+      t.ok(entries[2].old.lastname === 'Doctor' && entries[2].new.lastname === 'Who', 'Entries contain the old and new values.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore()
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      let live = []
+      let feed = People.proxy.changes({ since: 2, live: true })
+
+      feed.on('data', (entry) => live.push(entry))
+
+      People.proxy.enableLiveSync()
+      People.remove(People.last)
+
+      return People.proxy.ready().then(() => {
+        return new Promise((resolve) => setTimeout(resolve, 50))
+      }).then(() => {
+        feed.destroy()
+        return live
+      })
+    })
+    .then((live) => {
+      t.ok(live.length === 2 && live[0].sequence === 3, 'Streams replay from a sequence number.')
+      t.ok(live[1].sequence === 4 && live[1].operation === 'del' && live[1].old.code === 'b', 'Live streams receive new changes (after a restart).')
+
+      People.clear()
+
+      return People.proxy.ready()
+    })
+    .then(() => read(People.proxy, { since: 4 }))
+    .then((entries) => {
+      t.ok(entries.length === 1 && entries[0].operation === 'clear', 'Clearing the store is logged.')
+
+      return People.proxy.compactChanges(3)
+    })
+    .then((count) => {
+      t.ok(count === 3, 'Compacting removes the entries up to the sequence number.')
+
+      return read(People.proxy)
+    })
+    .then((entries) => {
+      t.ok(entries.length === 2 && entries[0].sequence === 4, 'Later entries are retained.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
+
+test('Concurrent Writes', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let live = []
+  let feed = People.proxy.changes({ live: true })
+
+  feed.on('data', (entry) => live.push(entry))
+
+  People.proxy.enableLiveSync()
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+  People.add({ code: 'c', firstname: 'Rose', lastname: 'Tyler' })
+
+  People.proxy.ready()
+    .then(() => helpers.wait(50))
+    .then(() => {
+      feed.destroy()
+
+      t.ok(live.map((entry) => entry.sequence).join() === '1,2,3', 'Concurrent writes are logged and published in sequence order.')
+
+      return read(People.proxy)
+    })
+    .then((entries) => {
+      t.ok(entries.map((entry) => entry.key).join() === live.map((entry) => entry.key).join(), 'Published entries match the stored log.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch(t.end)
+})
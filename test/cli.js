@@ -0,0 +1,77 @@
+'use strict'
+
+let test = require('tape')
+let fse = require('fs-extra')
+let path = require('path')
+let spawnSync = require('child_process').spawnSync
+
+let root = path.join(__dirname, './data/cli')
+let file = path.join(__dirname, './data/cli.ndjson')
+let bin = path.join(__dirname, '../bin/ngnx-leveldb.js')
+
+let cli = function () {
+  let args = Array.prototype.slice.call(arguments)
+  let result = spawnSync(process.execPath, [bin].concat(args), { encoding: 'utf8' })
+
+  return {
+    status: result.status,
+    output: result.stdout.trim()
+  }
+}
+
+test('Command Line Interface', function (t) {
+  fse.emptyDirSync(root)
+
+  t.ok(cli('put', root, 'a', '{"lastname":"Doctor"}').status === 0, 'put writes a value.')
+  cli('put', root, 'b', '{"lastname":"Song"}')
+  cli('put', root, 'ba', '{"lastname":"Tyler"}')
+
+  t.ok(JSON.parse(cli('get', root, 'a').output).lastname === 'Doctor', 'get decodes store documents.')
+  t.ok(cli('ls', root).output === 'a\nb\nba', 'ls lists every key.')
+  t.ok(cli('ls', root, 'b').output === 'b\nba', 'ls lists keys with a prefix.')
+  t.ok(cli('ls', root, '--gt', 'a', '--limit', '1').output === 'b', 'ls accepts range options.')
+  t.ok(cli('count', root).output === '3', 'count counts the keys.')
+
+  t.ok(cli('del', root, 'ba').status === 0, 'del deletes a key.')
+  t.ok(cli('get', root, 'ba').status === 1, 'get fails for missing keys.')
+
+  cli('put', root, 'title', 'null', '--model', '--namespace', 'settings')
+  cli('put', root, 'count', '3', '--model', '--namespace', 'settings')
+
+  t.ok(cli('get', root, 'title', '--model', '--namespace', 'settings').output === 'null', '#NIL values are decoded as null.')
+  t.ok(cli('get', root, 'count', '--model', '--namespace', 'settings').output === '3', 'Typed model values are decoded.')
+  t.ok(cli('count', root, '--namespace', 'settings').output === '2', 'Commands are restricted to the namespace.')
+
+  t.ok(cli('dump', root, file).status === 0, 'dump exports the data.')
+  cli('del', root, 'a')
+  t.ok(cli('load', root, file).status === 0, 'load imports the data.')
+  t.ok(cli('ls', root).output.split('\n').indexOf('a') >= 0, 'Loaded data is restored.')
+
+  t.ok(JSON.parse(cli('stats', root).output).keys === 2, 'stats summarizes the data outside of namespaces.')
+  t.ok(cli('unknown', root).status === 1, 'Unknown commands fail.')
+
+  fse.removeSync(root)
+  fse.removeSync(file)
+  t.end()
+})
+
+test('Command Line Interface Values', function (t) {
+  fse.emptyDirSync(root)
+
+  cli('put', root, 'a', '{"born":{"#type":"Date","value":"1963-11-23T00:00:00.000Z"}}')
+  cli('put', root, 'bā', '{"lastname":"Noble"}')
+  cli('put', root, 'c', '{"lastname":"Smith"}')
+
+  let output = cli('get', root, 'a').output
+
+  t.ok(output.indexOf('1963-11-23T00:00:00.000Z') >= 0 && output.indexOf('#type') < 0, 'get decodes typed values.')
+  t.ok(cli('ls', root, 'b').output === 'bā', 'ls matches prefixes followed by any character.')
+
+  cli('put', root, 'started', '{"#type":"Date","value":"1963-11-23T00:00:00.000Z"}', '--model')
+
+  output = cli('get', root, 'started', '--model').output
+  t.ok(output.indexOf('1963-11-23T00:00:00.000Z') >= 0 && output.indexOf('#type') < 0, 'Typed model values are written with their codec.')
+
+  fse.removeSync(root)
+  t.end()
+})
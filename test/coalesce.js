@@ -0,0 +1,153 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/coalesce')
+
+let createStore = function (liveSync) {
+  return helpers.createStore({
+    directory: root,
+    indexes: ['lastname'],
+    liveSync: liveSync
+  })
+}
+
+// Record the batches written to the database.
+let monitor = function (proxy) {
+  let batches = []
+
+  return proxy.op((db, done) => {
+    let batch = db.batch
+
+    db.batch = function (operations) {
+      batches.push(operations)
+      return batch.apply(db, arguments)
+    }
+
+    done()
+  }).then(() => batches)
+}
+
+test('Coalesced Live Sync', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ debounce: 20 })
+  let events = []
+  let batches
+
+  People.proxy.on('live.create', (record) => events.push('create:' + record.code))
+  People.proxy.on('live.update', (record) => events.push('update:' + record.code))
+  People.proxy.on('live.delete', (record) => events.push('delete:' + record.code))
+
+  monitor(People.proxy)
+    .then((writes) => {
+      batches = writes
+
+      People.proxy.enableLiveSync()
+      People.add({ code: 'a', firstname: 'The', lastname: 'Master' })
+      People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+
+      for (let i = 0; i < 10; i++) {
+        People.first.firstname = 'The ' + i
+      }
+
+      People.first.lastname = 'Doctor'
+      People.remove(People.last)
+
+      t.ok(batches.length === 0, 'Changes are not written immediately.')
+
+      return People.proxy.ready()
+    })
+    .then(() => {
+      let writes = batches[0].filter((operation) => operation.key.charAt(0) !== '\x00')
+
+      t.ok(batches.length === 1, 'Pending changes are written in a single batch.')
+      t.ok(writes.length === 2 && writes[0].value.firstname === 'The 9', 'Only the latest value of each key is written.')
+      t.ok(events.filter((event) => event === 'create:a').length > 0 && events.filter((event) => event === 'update:a').length > 0 && events.filter((event) => event === 'delete:b').length > 0, 'Events are fired for each change.')
+
+      return People.proxy.findBy('lastname', 'Doctor')
+    })
+    .then((records) => {
+      t.ok(records.length === 1 && records[0].firstname === 'The 9', 'Indexes are maintained.')
+
+      batches.splice(0)
+      People.add({ code: 'c', firstname: 'Rose', lastname: 'Tyler' })
+
+      return People.proxy.flush()
+    })
+    .then(() => {
+      t.ok(batches.length === 1, 'Flushing writes the pending changes immediately.')
+
+      return new Promise((resolve) => People.proxy.close(resolve))
+    })
+    .then(() => {
+      People = createStore({ debounce: 60000, maxBatch: 2 })
+
+      return monitor(People.proxy)
+    })
+    .then((writes) => {
+      batches = writes
+
+      People.proxy.enableLiveSync()
+      People.add({ code: 'd', firstname: 'Amy', lastname: 'Pond' })
+      People.add({ code: 'e', firstname: 'Rory', lastname: 'Williams' })
+
+      return People.proxy.ready()
+    })
+    .then(() => {
+      t.ok(batches.length === 1, 'Changes are written once the maximum batch size is reached.')
+
+      People.add({ code: 'f', firstname: 'Clara', lastname: 'Oswald' })
+
+      return new Promise((resolve) => People.proxy.close(resolve))
+    })
+    .then(() => {
+      People = createStore()
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 5, 'Pending changes are written before the database is closed.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Coalesced Write Failures', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ debounce: 20 })
+
+  People.proxy.op((db, done) => {
+    db.batch = function (operations, options, callback) {
+      callback = [options, callback].find((fn) => typeof fn === 'function')
+      process.nextTick(() => callback(new Error('Disk full')))
+    }
+
+    done()
+  }).then(() => {
+    People.proxy.once('error', (detail) => {
+      t.ok(detail.operation === 'flush' && detail.error.name === 'LevelDBProxyWriteError', 'Failed debounced writes emit an error event.')
+
+      People.proxy.ready().then(() => {
+        t.pass('Failed writes are no longer pending.')
+
+        People.proxy.close(() => {
+          helpers.reset(root)
+          t.end()
+        })
+      })
+    })
+
+    People.proxy.enableLiveSync()
+    People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  }).catch(t.end)
+})
@@ -0,0 +1,146 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/codecs')
+
+class Point {
+  constructor (x, y) {
+    this.x = x
+    this.y = y
+  }
+}
+
+NGNX.DATA.LevelDBProxy.registerCodec(Point, {
+  encode: (point) => [point.x, point.y],
+  decode: (value) => new Point(value[0], value[1])
+})
+
+let fields = {
+  code: null,
+  born: Date,
+  avatar: Buffer,
+  pattern: RegExp,
+  counts: Map,
+  companions: Map,
+  tags: Set,
+  location: Point
+}
+
+let data = {
+  code: 'a',
+  born: new Date('1963-11-23T17:16:00.000Z'),
+  avatar: Buffer.from([1, 2, 3]),
+  pattern: /^dr?\.?\s+who$/i,
+  counts: new Map([['regenerations', BigInt('13')]]),
+  companions: new Map([['rose', new Date(0)], ['river', null]]),
+  tags: new Set(['time', 'space']),
+  location: new Point(51, 0)
+}
+
+let verify = function (t, record, type) {
+  t.ok(record.born instanceof Date && record.born.getTime() === data.born.getTime(), type + ': Dates are restored.')
+  t.ok(Buffer.isBuffer(record.avatar) && record.avatar.equals(data.avatar), type + ': Buffers are restored.')
+  t.ok(record.pattern instanceof RegExp && record.pattern.flags === 'i' && record.pattern.test('Dr. Who'), type + ': Regular expressions are restored.')
+  t.ok(record.counts instanceof Map && record.counts.get('regenerations') === BigInt('13'), type + ': BigInts are restored.')
+  t.ok(record.companions instanceof Map && record.companions.get('rose') instanceof Date, type + ': Maps (and nested values) are restored.')
+  t.ok(record.tags instanceof Set && record.tags.has('space'), type + ': Sets are restored.')
+  t.ok(record.location instanceof Point && record.location.x === 51, type + ': Registered codecs are applied.')
+}
+
+test('Store Type Codecs', function (t) {
+  helpers.reset(root)
+
+  let Pet = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      adopted: Date
+    }
+  })
+
+  let Person = new NGN.DATA.Model({
+    idAttribute: 'code',
+    fields: fields,
+    relationships: {
+      pet: Pet
+    }
+  })
+
+  let People = new NGN.DATA.Store({
+    model: Person,
+    proxy: helpers.createProxy({
+      directory: root
+    })
+  })
+
+  People.add(Object.assign({
+    pet: {
+      name: 'K-9',
+      adopted: new Date(1000)
+    }
+  }, data))
+
+  People.proxy.save()
+    .then(() => {
+      People.clear()
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      verify(t, People.first, 'Store')
+      t.ok(People.first.pet.adopted instanceof Date, 'Store: Nested relationship values are restored.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Model Type Codecs', function (t) {
+  helpers.reset(root)
+
+  let Person = new NGN.DATA.Model({
+    fields: fields,
+    proxy: helpers.createProxy({
+      directory: root
+    })
+  })
+
+  let Doctor = new Person(data)
+
+  Doctor.proxy.save()
+    .then(() => {
+      Object.keys(fields).forEach((field) => {
+        Doctor[field] = null
+      })
+
+      return Doctor.proxy.fetch()
+    })
+    .then(() => {
+      verify(t, Doctor, 'Model')
+
+      Doctor.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('BigInt Availability', function (t) {
+  let BigIntType = global.BigInt
+  let stored = { '#type': 'BigInt', value: '13' }
+
+  t.ok(NGNX.DATA.LevelDBProxy.decodeTyped(stored) === BigIntType('13'), 'BigInt values are restored.')
+
+  delete global.BigInt
+  t.throws(() => NGNX.DATA.LevelDBProxy.decodeTyped(stored), /Node\.js 10\.4\.0/, 'Restoring BigInt values fails clearly when BigInt is not available.')
+  global.BigInt = BigIntType
+
+  t.end()
+})
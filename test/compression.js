@@ -0,0 +1,115 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/compression')
+
+let createStore = function (config) {
+  return helpers.createStore(Object.assign({
+    directory: root
+  }, config), {
+    idAttribute: 'code',
+    fields: {
+      code: null,
+      lastname: null,
+      notes: Array
+    }
+  })
+}
+
+// Read the raw (stored) values using a proxy without compression.
+let readRaw = function () {
+  let proxy = helpers.createProxy({ directory: root })
+  let data = {}
+
+  return proxy.op((db, done) => {
+    db.createReadStream({ gt: '\x01', valueEncoding: 'utf8' }).on('data', (item) => {
+      data[item.key] = item.value
+    }).on('end', done)
+  }).then(() => new Promise((resolve) => proxy.close(() => resolve(data))))
+}
+
+let notes = []
+
+for (let i = 0; i < 100; i++) {
+  notes.push('Regeneration number ' + (i % 13))
+}
+
+test('Compression', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ compression: 'gzip', compressionThreshold: 256 })
+
+  People.add({ code: 'a', lastname: 'Doctor', notes: notes })
+  People.add({ code: 'b', lastname: 'Song', notes: [] })
+
+  People.proxy.save()
+    .then(() => helpers.close(People))
+    .then(() => readRaw())
+    .then((data) => {
+      t.ok(data.a.indexOf('#ZIP1:gzip:') === 0, 'Values larger than the threshold are compressed.')
+      t.ok(data.b.indexOf('#ZIP1:') < 0, 'Values smaller than the threshold are not compressed.')
+
+      People = createStore({ compression: 'brotli', compressionThreshold: 256 })
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 2 && People.first.notes.length === 100, 'Compressed values are detected and decompressed.')
+
+      People.proxy.enableLiveSync()
+      People.add({ code: 'c', lastname: 'Tyler', notes: notes })
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.stats())
+    .then((stats) => {
+      t.ok(stats.compressed === 2 && stats.compressionRatio > 1, 'Statistics report the compression ratio.')
+
+      return helpers.close(People)
+    })
+    .then(() => readRaw())
+    .then((data) => {
+      t.ok(data.c.indexOf('#ZIP1:brotli:') === 0, 'Live synchronized values are compressed.')
+
+      People = createStore({
+        compression: 'deflate',
+        compressionThreshold: 256,
+        encryption: { key: 'secret' }
+      })
+
+      People.add({ code: 'd', lastname: 'Pond', notes: notes })
+
+      return People.proxy.save()
+    })
+    .then(() => {
+      People.clear()
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.notes[99] === notes[99], 'Compression can be combined with encryption.')
+
+      return helpers.close(People)
+    })
+    .then(() => readRaw())
+    .then((data) => {
+      t.ok(data.d.indexOf('#ENC1:') === 0, 'Values are compressed before they are encrypted.')
+      t.throws(() => createStore({ compression: 'lzma' }), 'Unsupported algorithms are rejected.')
+
+      let zlib = require('zlib')
+      let brotliCompressSync = zlib.brotliCompressSync
+
+      delete zlib.brotliCompressSync
+      t.throws(() => createStore({ compression: 'brotli' }), /Node\.js 11\.7\.0/, 'Brotli is rejected when Node.js does not support it.')
+      zlib.brotliCompressSync = brotliCompressSync
+
+      helpers.reset(root)
+      t.end()
+    })
+})
@@ -0,0 +1,166 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+let crypto = require('crypto')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/encryption')
+
+let createStore = function (encryption) {
+  return helpers.createStore({
+    directory: root,
+    encryption: encryption
+  })
+}
+
+// Read the raw (stored) values using a proxy without encryption.
+let readRaw = function () {
+  let proxy = helpers.createProxy({ directory: root })
+  let data = {}
+
+  return proxy.op((db, done) => {
+    db.createReadStream({ gt: '\x01', valueEncoding: 'utf8' }).on('data', (item) => {
+      data[item.key] = item.value
+    }).on('end', done)
+  }).then(() => new Promise((resolve) => proxy.close(() => resolve(data))))
+}
+
+test('Encryption', function (t) {
+  helpers.reset(root)
+
+  let key = crypto.randomBytes(32)
+  let People = createStore({ key: key })
+
+  t.ok(People.proxy.encrypted, 'The proxy indicates values are encrypted.')
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => {
+      People.proxy.enableLiveSync()
+      People.add({ code: 'c', firstname: 'Rose', lastname: 'Tyler' })
+
+      return People.proxy.ready()
+    })
+    .then(() => helpers.close(People))
+    .then(() => readRaw())
+    .then((data) => {
+      t.ok(data.a.indexOf('#ENC1:') === 0 && data.a.indexOf('Doctor') < 0, 'Saved values are encrypted.')
+      t.ok(data.c && data.c.indexOf('#ENC1:') === 0, 'Live synchronized values are encrypted.')
+
+      People = createStore({ key: key })
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 3 && People.first.lastname === 'Doctor', 'Fetched values are decrypted.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore({ key: crypto.randomBytes(32) })
+
+      return People.proxy.fetch().catch((err) => {
+        t.ok(err.name === 'LevelDBProxyDecodeError', 'Values encrypted with an unknown key cannot be read.')
+      })
+    })
+    .then(() => helpers.close(People))
+    .then(() => {
+      let proxy = helpers.createProxy({ directory: root })
+
+      return proxy.op((db, done) => {
+        db.put('d', '{"code":"d","lastname":"Pond"}', done)
+      }).then(() => new Promise((resolve) => proxy.close(resolve)))
+    })
+    .then(() => {
+      People = createStore({ key: key })
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 4, 'Values which are not encrypted are read as-is.')
+
+      return People.proxy.rotateKey('a new passphrase')
+    })
+    .then((count) => {
+      t.ok(count === 4, 'Rotating the key re-encrypts every value.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore({ key: 'a new passphrase', algorithm: 'aes-256-gcm' })
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 4 && People.last.lastname === 'Pond', 'Rotated values are decrypted with the new key.')
+
+      return helpers.close(People)
+    })
+    .then(() => readRaw())
+    .then((data) => {
+      t.ok(Object.keys(data).every((key) => data[key].indexOf('#ENC1:') === 0), 'Rotating the key encrypts plaintext values.')
+      t.throws(() => createStore({ key: 'secret', algorithm: 'rot13' }), 'Unsupported algorithms are rejected.')
+
+      helpers.reset(root)
+      t.end()
+    })
+})
+
+test('Passphrases & Authenticated Keys', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ key: 'a passphrase' })
+  let stored = null
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => helpers.close(People))
+    .then(() => {
+      let proxy = helpers.createProxy({ directory: root })
+
+      // Store the encrypted value of a under the key of b.
+      return proxy.op((db, done) => {
+        db.get('\x00encryption!salt', (err, salt) => {
+          stored = err ? null : salt
+
+          db.get('a', (err, value) => {
+            if (err) {
+              return done()
+            }
+
+            db.put('b', value, done)
+          })
+        })
+      }).then(() => new Promise((resolve) => proxy.close(resolve)))
+    })
+    .then(() => {
+      t.ok(stored !== null && Buffer.from(stored, 'base64').length === 16, 'Passphrases are derived with a salt stored in the database.')
+
+      People = createStore({ key: 'a passphrase' })
+
+      return People.proxy.fetch({ lt: 'b' })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.lastname === 'Doctor', 'Passphrases are derived with the stored salt.')
+
+      return People.proxy.fetch().then(() => null, (err) => err)
+    })
+    .then((err) => {
+      t.ok(err && err.name === 'LevelDBProxyDecodeError', 'Encrypted values cannot be moved to another key.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch(t.end)
+})
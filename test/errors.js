@@ -0,0 +1,127 @@
+'use strict'
+
+let test = require('tape')
+let fse = require('fs-extra')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/errors')
+
+let createStore = function () {
+  return helpers.createStore(root, {
+    autoid: true,
+    fields: {
+      firstname: null,
+      lastname: null
+    }
+  })
+}
+
+test('Lock Errors', function (t) {
+  fse.emptyDirSync(root)
+
+  let owner = new NGNX.DATA.LevelDBProxy(root)
+  let People = createStore()
+
+  owner.open(() => {
+    People.proxy.op(() => {
+      t.fail('Operation ran on a locked database.')
+    }).catch((err) => {
+      t.ok(err.name === 'LevelDBProxyLockError', 'op() rejects with a LevelDBProxyLockError.')
+
+      People.proxy.once('error', (detail) => {
+        t.ok(detail.operation === 'fetch', 'Structured error event identifies the operation.')
+        t.ok(detail.error.name === 'LevelDBProxyLockError', 'Structured error event includes the error.')
+      })
+
+      People.proxy.fetch((err) => {
+        t.ok(err && err.name === 'LevelDBProxyLockError', 'fetch() passes the error to the callback.')
+
+        People.proxy.save().catch((err) => {
+          t.ok(err.name === 'LevelDBProxyLockError', 'save() rejects the promise.')
+
+          owner.close(() => {
+            fse.removeSync(root)
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+test('Live Sync Write Errors', function (t) {
+  fse.emptyDirSync(root)
+
+  let owner = new NGNX.DATA.LevelDBProxy(root)
+  let People = createStore()
+
+  People.proxy.enableLiveSync()
+
+  owner.open(() => {
+    People.proxy.once('error', (detail) => {
+      t.ok(detail.operation === 'record.create', 'Error identifies the live sync operation.')
+      t.ok(detail.key === record.id.toString(), 'Error identifies the key.')
+      t.ok(detail.record === record, 'Error includes the record.')
+
+      owner.close(() => {
+        fse.removeSync(root)
+        t.end()
+      })
+    })
+
+    let record = People.add({
+      firstname: 'The',
+      lastname: 'Doctor'
+    })
+  })
+})
+
+test('Decode Errors', function (t) {
+  fse.emptyDirSync(root)
+
+  let People = createStore()
+
+  People.proxy.op((db, done) => {
+    db.put('corrupt', '{not json', done)
+  }).then(() => {
+    return People.proxy.fetch()
+  }).catch((err) => {
+    t.ok(err.name === 'LevelDBProxyDecodeError', 'Undecodable records produce a LevelDBProxyDecodeError.')
+    t.ok(err.originalError instanceof Error, 'The underlying error is available.')
+
+    People.proxy.close(() => {
+      fse.removeSync(root)
+      t.end()
+    })
+  })
+})
+
+test('Unknown Model Fields', function (t) {
+  let Model = new NGN.DATA.Model({
+    fields: {
+      a: String
+    },
+    proxy: new NGNX.DATA.LevelDBProxy(root)
+  })
+
+  let record = new Model({
+    a: 'value'
+  })
+
+  record.proxy.once('error', (detail) => {
+    t.ok(detail.operation === 'getFieldType' && detail.key === 'b', 'Unknown fields produce a structured error.')
+    t.ok(detail.error.name === 'LevelDBProxyDecodeError', 'Unknown fields produce a LevelDBProxyDecodeError.')
+  })
+
+  t.ok(record.proxy.getFieldType('b') === null, 'Unknown fields have no type.')
+
+  t.doesNotThrow(() => {
+    record.proxy.getFieldType('c')
+  }, 'Unhandled errors are not thrown.')
+
+  t.end()
+})
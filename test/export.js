@@ -0,0 +1,98 @@
+'use strict'
+
+let test = require('tape')
+let fse = require('fs-extra')
+let helpers = require('./helpers')
+let path = require('path')
+let PassThrough = require('stream').PassThrough
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = path.join(__dirname, './data/export')
+let file = path.join(__dirname, './data/export.ndjson')
+
+let createStore = function (directory) {
+  return helpers.createStore({
+    directory: directory,
+    indexes: ['lastname']
+  })
+}
+
+test('Export & Import', function (t) {
+  helpers.reset(root)
+  helpers.reset(root + '2')
+  fse.ensureDirSync(path.dirname(file))
+
+  let People = createStore(root)
+  let Copy = createStore(root + '2')
+  let progress = []
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: null })
+
+  Copy.add({ code: 'c', firstname: 'Rose', lastname: 'Tyler' })
+
+  Copy.proxy.on('import.progress', (count) => progress.push(count))
+
+  People.proxy.save()
+    .then(() => People.proxy.exportTo(file))
+    .then((count) => {
+      let lines = fse.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line))
+
+      t.ok(lines[0].format === 'ngnx-leveldb' && lines[0].type === 'store', 'The export starts with a header.')
+      t.ok(count === lines.length - 1, 'Every key is exported.')
+      t.ok(lines.filter((line) => line.key === 'a').length === 1, 'Records are exported by key.')
+
+      return Copy.proxy.save()
+    })
+    .then(() => Copy.proxy.importFrom(file, { mode: 'merge', batchSize: 1 }))
+    .then(() => {
+      t.ok(Copy.recordCount === 3, 'Merged imports retain the existing data and reload the store.')
+      t.ok(progress.length >= 2, 'Progress events are triggered for each batch.')
+
+      return Copy.proxy.findBy('lastname', 'Doctor')
+    })
+    .then((records) => {
+      t.ok(records.length === 1, 'Indexes are rebuilt after the import.')
+
+      return Copy.proxy.importFrom(file)
+    })
+    .then(() => {
+      t.ok(Copy.recordCount === 2 && Copy.last.lastname === null, 'Replacing imports remove the existing data.')
+
+      let stream = new PassThrough()
+      let output = ''
+
+      stream.on('data', (chunk) => {
+        output += chunk
+      })
+
+      return People.proxy.exportTo(stream).then(() => output)
+    })
+    .then((output) => {
+      t.ok(output.split('\n').length > 2, 'Data can be exported to a stream.')
+
+      let stream = new PassThrough()
+
+      stream.end('{"not":"an export"}\n')
+
+      return Copy.proxy.importFrom(stream).catch((err) => {
+        t.ok(err.name === 'LevelDBProxyDecodeError', 'Invalid exports are rejected.')
+      })
+    })
+    .then(() => Copy.proxy.importFrom(file + '.missing').then(() => null, (err) => err))
+    .then((err) => {
+      t.ok(err && err.name === 'LevelDBProxyReadError' && Copy.recordCount === 2, 'Missing files are rejected without removing the existing data.')
+
+      return helpers.close(People)
+    })
+    .then(() => helpers.close(Copy))
+    .then(() => {
+      helpers.reset(root)
+      helpers.reset(root + '2')
+      fse.removeSync(file)
+      t.end()
+    })
+})
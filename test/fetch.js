@@ -0,0 +1,85 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/fetch')
+
+let createStore = function () {
+  return helpers.createStore(root)
+}
+
+let codes = function (store) {
+  return store.records.map((record) => record.code).join(',')
+}
+
+test('Range Fetch', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'The', lastname: 'Master' })
+  People.add({ code: 'c', firstname: 'River', lastname: 'Song' })
+  People.add({ code: 'd', firstname: 'Rose', lastname: 'Tyler' })
+
+  People.proxy.save()
+    .then(() => People.proxy.fetch({ gte: 'b', lt: 'd' }))
+    .then(() => {
+      t.ok(codes(People) === 'b,c', 'Range options restrict the records that are loaded.')
+
+      return People.proxy.fetch({ limit: 2, reverse: true })
+    })
+    .then(() => {
+      t.ok(codes(People) === 'd,c', 'Limit and reverse options are applied.')
+
+      return People.proxy.fetch({ keys: ['a', 'x', 'c'] })
+    })
+    .then(() => {
+      t.ok(codes(People) === 'a,c', 'Specific keys are loaded and missing keys are ignored.')
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 4, 'Fetch without options loads every record.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Append & Merge Fetch', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'The', lastname: 'Master' })
+  People.add({ code: 'c', firstname: 'River', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => People.proxy.fetch({ keys: ['a'] }))
+    .then(() => People.proxy.fetch({ gt: 'a', lte: 'b', load: 'append' }))
+    .then(() => {
+      t.ok(codes(People) === 'a,b', 'Appended records are added to the store.')
+
+      People.first.lastname = 'Who'
+
+      return People.proxy.fetch({ load: 'merge' })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 3, 'Merged records are not duplicated.')
+      t.ok(People.first.lastname === 'Doctor', 'Merged records are updated with the stored data.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
@@ -0,0 +1,80 @@
+'use strict'
+
+// Fixtures shared by the tests.
+const memdown = require('memdown')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+/**
+ * Create a LevelDB proxy. Unless another backend is configured, the data is
+ * kept in memory (memdown databases are shared by directory, like LevelDB
+ * directories), so the tests do not write to disk. Set `backend` to `null`
+ * to use leveldown.
+ * @param {object|string} config
+ * The proxy configuration (or the directory).
+ * @return {NGNX.DATA.LevelDBProxy}
+ */
+exports.createProxy = function (config) {
+  config = Object.assign({}, typeof config === 'string' ? { directory: config } : config)
+
+  if (config.backend === undefined) {
+    config.backend = memdown
+  }
+
+  return new NGNX.DATA.LevelDBProxy(config)
+}
+
+/**
+ * Create a store backed by a LevelDB proxy (see createProxy). Unless another
+ * model configuration is provided, the store holds people identified by
+ * `code`.
+ * @param {object|string} config
+ * The proxy configuration (or the directory).
+ * @param {object} [model]
+ * The model configuration.
+ * @return {NGN.DATA.Store}
+ */
+exports.createStore = function (config, model) {
+  let Model = new NGN.DATA.Model(model || {
+    idAttribute: 'code',
+    fields: {
+      code: null,
+      firstname: null,
+      lastname: null
+    }
+  })
+
+  return new NGN.DATA.Store({
+    model: Model,
+    proxy: exports.createProxy(config)
+  })
+}
+
+/**
+ * Remove the in-memory database of a directory. Proxies using the
+ * directory must be closed.
+ * @param {string} directory
+ */
+exports.reset = function (directory) {
+  memdown.destroy(directory, () => {})
+}
+
+/**
+ * Close the proxy of a store.
+ * @param {NGN.DATA.Store} store
+ * @return {Promise}
+ */
+exports.close = function (store) {
+  return new Promise((resolve) => store.proxy.close(resolve))
+}
+
+/**
+ * Wait for events emitted after a delay (20ms by default) to be delivered.
+ * @param {number} [ms=20]
+ * @return {Promise}
+ */
+exports.wait = function (ms) {
+  return new Promise((resolve) => setTimeout(resolve, NGN.coalesce(ms, 20)))
+}
@@ -0,0 +1,147 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/history')
+
+let createStore = function (history) {
+  return helpers.createStore({
+    directory: root,
+    history: history
+  })
+}
+
+test('Record History', function (t) {
+  helpers.reset(root)
+
+  let People = createStore(true)
+  let before
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => helpers.wait())
+    .then(() => {
+      before = new Date()
+      People.first.lastname = 'Who'
+
+      return People.proxy.save()
+    })
+    .then(() => helpers.wait())
+    .then(() => {
+      People.proxy.enableLiveSync()
+      People.first.lastname = 'Smith'
+      People.remove(People.last)
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.history('a'))
+    .then((versions) => {
+      t.ok(versions.length === 2 && versions[0].value.lastname === 'Doctor' && versions[1].value.lastname === 'Who', 'Overwritten versions are listed from the oldest to the newest.')
+      t.ok(versions[0].from < versions[0].to && versions[1].from === versions[0].to, 'Versions identify when they were current.')
+
+      return People.proxy.history('b')
+    })
+    .then((versions) => {
+      t.ok(versions.length === 1 && versions[0].value.lastname === 'Song', 'Deleted records are retained.')
+
+      return People.proxy.fetch({ asOf: before })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 2 && People.first.lastname === 'Doctor', 'Fetching as of a time loads the data as it was.')
+      t.ok(People.first.code === 'a' && People.last.code === 'b', 'Records removed since the time are restored in key order.')
+
+      return People.proxy.fetch({ asOf: Date.now() })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.lastname === 'Smith', 'Fetching as of the current time loads the current data.')
+
+      return People.proxy.fetch({ asOf: 0 })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 0, 'Records created after the time are excluded.')
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      People.clear()
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.fetch({ asOf: Date.now() - 5 }))
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.lastname === 'Smith', 'Cleared records are retained.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      People = createStore({ maxVersions: 2 })
+      People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+      People.proxy.enableLiveSync()
+
+      let update = Promise.resolve()
+
+      for (let i = 0; i < 5; i++) {
+        update = update.then(() => {
+          People.first.firstname = 'The ' + i
+
+          return People.proxy.ready()
+        })
+      }
+
+      return update
+    })
+    .then(() => People.proxy.history('a'))
+    .then((versions) => {
+      t.ok(versions.length === 2 && versions[1].value.firstname === 'The 3', 'Versions exceeding the retention policy are removed.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      People = createStore({ maxAge: 30 })
+      People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+      People.proxy.enableLiveSync()
+      People.first.firstname = 'The 0'
+
+      return People.proxy.ready()
+    })
+    .then(() => helpers.wait(50))
+    .then(() => {
+      People.first.firstname = 'The 1'
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.history('a'))
+    .then((versions) => {
+      t.ok(versions.length === 1 && versions[0].value.firstname === 'The 0', 'Versions older than the retention period are removed.')
+
+      return People.proxy.fetch({ asOf: 0 })
+    })
+    .then(() => {
+      t.ok(People.first.firstname === 'The 0', 'Removed versions are excluded from point in time reads.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore()
+
+      return People.proxy.fetch({ asOf: Date.now() }).catch((err) => err)
+    })
+    .then((err) => {
+      t.ok(err instanceof Error, 'Point in time reads require the history.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
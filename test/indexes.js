@@ -0,0 +1,135 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/indexes')
+
+let createStore = function (indexes) {
+  return helpers.createStore({
+    directory: root,
+    indexes: indexes
+  }, {
+    autoid: true,
+    fields: {
+      firstname: null,
+      lastname: null,
+      age: Number
+    }
+  })
+}
+
+let populate = function (store) {
+  store.add({ firstname: 'The', lastname: 'Doctor', age: 900 })
+  store.add({ firstname: 'The', lastname: 'Master', age: 850 })
+  store.add({ firstname: 'River', lastname: 'Song', age: 200 })
+  store.add({ firstname: 'Rose', lastname: 'Tyler', age: 19 })
+  store.add({ firstname: 'Jackie', lastname: 'Tyler', age: -1 })
+}
+
+test('Indexed Lookups', function (t) {
+  helpers.reset(root)
+
+  let People = createStore(['lastname', 'age'])
+
+  populate(People)
+
+  People.proxy.save()
+    .then(() => People.proxy.findBy('lastname', 'Tyler'))
+    .then((records) => {
+      t.ok(records.length === 2, 'findBy() resolves with the matching records.')
+      t.ok(People.recordCount === 2 && People.records.every((record) => record.lastname === 'Tyler'), 'findBy() loads only the matching records into the store.')
+
+      return People.proxy.findRange('age', { gte: 19, lt: 850 })
+    })
+    .then((records) => {
+      t.ok(records.length === 2 && records[0].age === 19 && records[1].age === 200, 'findRange() loads the records within the range, ordered by value.')
+
+      return People.proxy.findRange('age', { lt: 19 })
+    })
+    .then((records) => {
+      t.ok(records.length === 1 && records[0].age === -1, 'Negative numbers are ordered correctly.')
+
+      return People.proxy.findBy('firstname', 'The').catch((err) => {
+        t.ok(err.name === 'LevelDBProxyReadError', 'Lookups on fields without an index are rejected.')
+      })
+    })
+    .then(() => {
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Indexes Follow Live Sync', function (t) {
+  helpers.reset(root)
+
+  let People = createStore(['lastname'])
+
+  People.proxy.enableLiveSync()
+  populate(People)
+
+  People.proxy.ready()
+    .then(() => {
+      People.first.lastname = 'Who'
+      People.remove(People.last)
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.findBy('lastname', 'Doctor'))
+    .then((records) => {
+      t.ok(records.length === 0, 'Updates remove the old index entry.')
+
+      return People.proxy.findBy('lastname', 'Who')
+    })
+    .then((records) => {
+      t.ok(records.length === 1, 'Updates create a new index entry.')
+
+      return People.proxy.findBy('lastname', 'Tyler')
+    })
+    .then((records) => {
+      t.ok(records.length === 1 && records[0].firstname === 'Rose', 'Deleted records are removed from the index.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Rebuild Index', function (t) {
+  helpers.reset(root)
+
+  let Original = createStore([])
+
+  populate(Original)
+
+  Original.proxy.save()
+    .then(() => {
+      return new Promise((resolve) => Original.proxy.close(resolve))
+    })
+    .then(() => {
+      let People = createStore(['lastname'])
+
+      return People.proxy.findBy('lastname', 'Song')
+        .then((records) => {
+          t.ok(records.length === 0, 'New indexes are empty until they are rebuilt.')
+
+          return People.proxy.rebuildIndex('lastname')
+        })
+        .then(() => People.proxy.findBy('lastname', 'Song'))
+        .then((records) => {
+          t.ok(records.length === 1 && records[0].firstname === 'River', 'Rebuilt index contains the existing records.')
+
+          People.proxy.close(() => {
+            helpers.reset(root)
+            t.end()
+          })
+        })
+    })
+})
@@ -0,0 +1,160 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/layout')
+
+let createStore = function (indexes) {
+  let Pet = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      breed: null
+    }
+  })
+
+  return helpers.createStore({
+    directory: root,
+    layout: 'exploded',
+    indexes: indexes || []
+  }, {
+    idAttribute: 'code',
+    fields: {
+      code: null,
+      firstname: null,
+      lastname: null
+    },
+    relationships: {
+      pet: Pet
+    }
+  })
+}
+
+// Read every record key (excluding index entries).
+let readAll = function (proxy, callback) {
+  let data = {}
+
+  proxy.op((db, done) => {
+    db.createReadStream({ gt: '\x01', valueEncoding: 'json' }).on('data', (item) => {
+      data[item.key] = item.value
+    }).on('end', () => {
+      done()
+      callback(data)
+    })
+  })
+}
+
+let populate = function (store) {
+  store.add({
+    code: 'a',
+    firstname: 'The',
+    lastname: 'Doctor',
+    pet: {
+      name: 'K-9',
+      breed: 'Robodog'
+    }
+  })
+
+  store.add({
+    code: 'b',
+    firstname: 'River',
+    lastname: 'Song',
+    pet: {
+      name: 'Drums',
+      breed: 'Unknown'
+    }
+  })
+}
+
+test('Exploded Save & Fetch', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+
+  populate(People)
+
+  People.proxy.save()
+    .then(() => {
+      return new Promise((resolve) => readAll(People.proxy, resolve))
+    })
+    .then((data) => {
+      t.ok(data['a.lastname'] === 'Doctor', 'Each field is stored as its own key.')
+      t.ok(data['a.pet.name'] === 'K-9', 'Nested relationship fields are stored as dotted keys.')
+      t.ok(!data.hasOwnProperty('a'), 'Records are not stored as documents.')
+
+      People.clear()
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(People.recordCount === 2, 'Fetch rebuilds every record.')
+      t.ok(People.first.code === 'a' && People.first.lastname === 'Doctor', 'Record fields are restored.')
+      t.ok(People.first.pet.name === 'K-9' && People.last.pet.breed === 'Unknown', 'Nested relationship fields are restored.')
+
+      return People.proxy.fetch({ gt: 'a' })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.code === 'b', 'Range options apply to record IDs.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Exploded Live Sync', function (t) {
+  helpers.reset(root)
+
+  let People = createStore(['lastname'])
+  let batches = []
+
+  People.proxy.op((db, done) => {
+    let batch = db.batch
+
+    db.batch = function (operations) {
+      batches.push(operations)
+      return batch.apply(db, arguments)
+    }
+
+    done()
+  })
+
+  People.proxy.enableLiveSync()
+  populate(People)
+
+  People.proxy.ready()
+    .then(() => {
+      batches = []
+      People.first.lastname = 'Who'
+
+      return People.proxy.ready()
+    })
+    .then(() => {
+      let writes = batches[0].filter((op) => op.key.charAt(0) !== '\x00')
+
+      t.ok(writes.length === 1 && writes[0].key === 'a.lastname', 'Updating a single field only writes that key.')
+
+      People.remove(People.last)
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.findBy('lastname', 'Who'))
+    .then((records) => {
+      t.ok(records.length === 1 && records[0].pet.name === 'K-9', 'Indexes follow exploded records.')
+
+      return new Promise((resolve) => readAll(People.proxy, resolve))
+    })
+    .then((data) => {
+      t.ok(Object.keys(data).every((key) => key.indexOf('b.') !== 0), 'Deleting a record removes every field.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
@@ -0,0 +1,105 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/migrations')
+
+let createStore = function (fields, migrations) {
+  return helpers.createStore({
+    directory: root,
+    migrations: migrations
+  }, {
+    idAttribute: 'code',
+    fields: fields
+  })
+}
+
+test('Schema Migrations', function (t) {
+  helpers.reset(root)
+
+  let calls = 0
+  let Original = createStore({
+    code: null,
+    lastname: null,
+    age: String
+  })
+
+  Original.add({ code: 'a', lastname: 'Doctor', age: '900' })
+  Original.add({ code: 'b', lastname: 'Master', age: '850' })
+  Original.add({ code: 'c', lastname: 'Dalek', age: '0' })
+
+  let migrations = {
+    2: (record) => {
+      calls++
+      record.surname = record.lastname
+      delete record.lastname
+    },
+    3: (record) => {
+      if (record.surname === 'Dalek') {
+        return null
+      }
+
+      return Object.assign({}, record, { age: Number(record.age) })
+    }
+  }
+
+  let fields = {
+    code: null,
+    surname: null,
+    age: Number
+  }
+
+  let People
+
+  Original.proxy.save()
+    .then(() => helpers.close(Original))
+    .then(() => {
+      People = createStore(fields, migrations)
+
+      t.ok(People.proxy.version === 3, 'The schema version defaults to the highest migration.')
+
+      return People.proxy.migrate({ dryRun: true })
+    })
+    .then((report) => {
+      t.ok(report.from === 1 && report.to === 3, 'Dry runs report the schema versions.')
+      t.ok(report.changes.filter((change) => change.type === 'put').length === 2, 'Dry runs report modified records.')
+      t.ok(report.changes.filter((change) => change.type === 'del' && change.key === 'c').length === 1, 'Dry runs report deleted records.')
+
+      return People.proxy.migrate({ dryRun: true })
+    })
+    .then((report) => {
+      t.ok(report.from === 1 && report.changes.length === 3, 'Dry runs do not modify the data.')
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 2, 'Migrations run before the first fetch.')
+      t.ok(People.first.surname === 'Doctor' && People.first.age === 900, 'Records are migrated.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore(fields, migrations)
+      calls = 0
+
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(calls === 0, 'Migrations are only applied once.')
+
+      return People.proxy.migrate()
+    })
+    .then((report) => {
+      t.ok(report.from === 3 && report.changes.length === 0, 'The schema version is stored with the data.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
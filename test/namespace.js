@@ -0,0 +1,206 @@
+'use strict'
+
+let test = require('tape')
+let fse = require('fs-extra')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/namespace')
+
+let createStore = function (namespace, fields, backend) {
+  return helpers.createStore({
+    directory: root,
+    namespace: namespace,
+    backend: backend
+  }, {
+    autoid: true,
+    fields: fields
+  })
+}
+
+let readKeys = function (proxy, callback) {
+  let keys = []
+
+  proxy.op((db, done) => {
+    db.createKeyStream().on('data', (key) => {
+      keys.push(key)
+    }).on('end', () => {
+      done()
+      callback(keys)
+    })
+  })
+}
+
+test('Namespaced Stores', function (t) {
+  helpers.reset(root)
+
+  let People = createStore('people', {
+    firstname: null,
+    lastname: null
+  })
+
+  let Pets = createStore('pets', {
+    name: null,
+    breed: null
+  })
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  Pets.add({
+    name: 'K-9',
+    breed: 'Robodog'
+  })
+
+  Pets.add({
+    name: 'Drums',
+    breed: '?'
+  })
+
+  People.proxy.save()
+    .then(() => Pets.proxy.save())
+    .then(() => {
+      t.ok(People.proxy.shared && Pets.proxy.shared, 'Proxies share a single LevelDB handle.')
+
+      return new Promise((resolve) => {
+        readKeys(People.proxy, (keys) => {
+          t.ok(keys.filter((key) => key.indexOf('\x01people!') === 0).length === 1, 'Store keys are prefixed with the namespace.')
+          t.ok(keys.filter((key) => key.indexOf('\x01pets!') === 0).length === 2, 'Keys of each namespace are stored in the same database.')
+          resolve()
+        })
+      })
+    })
+    .then(() => {
+      People.clear()
+      Pets.clear()
+
+      return Promise.all([People.proxy.fetch(), Pets.proxy.fetch()])
+    })
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.lastname === 'Doctor', 'Fetch only loads records within the namespace.')
+      t.ok(Pets.recordCount === 2, 'Fetch loads every record within the namespace.')
+
+      People.remove(People.first)
+      return People.proxy.save({ full: true })
+    })
+    .then(() => Pets.proxy.fetch())
+    .then(() => {
+      t.ok(Pets.recordCount === 2, 'Full rewrites do not affect other namespaces.')
+
+      People.proxy.close(() => {
+        Pets.proxy.close(() => {
+          helpers.reset(root)
+          t.end()
+        })
+      })
+    })
+})
+
+test('Namespaced Live Sync Clear', function (t) {
+  fse.emptyDirSync(root)
+
+  // Clearing must not destroy the shared LevelDB directory (see erase()).
+  let People = createStore('people', {
+    firstname: null,
+    lastname: null
+  }, null)
+
+  let Pets = createStore('pets', {
+    name: null
+  }, null)
+
+  People.proxy.enableLiveSync()
+  Pets.proxy.enableLiveSync()
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  Pets.add({
+    name: 'K-9'
+  })
+
+  Promise.all([People.proxy.ready(), Pets.proxy.ready()]).then(() => {
+    People.once('live.delete', () => {
+      t.ok(fse.existsSync(root), 'Clearing a namespace does not destroy the shared directory.')
+
+      readKeys(Pets.proxy, (keys) => {
+        t.ok(keys.length === 1 && keys[0].indexOf('\x01pets!') === 0, 'Clearing a namespace only removes keys within the namespace.')
+
+        People.proxy.close(() => {
+          Pets.proxy.close(() => {
+            fse.removeSync(root)
+            t.end()
+          })
+        })
+      })
+    })
+
+    People.clear()
+  })
+})
+
+test('Default Keyspace', function (t) {
+  helpers.reset(root)
+
+  let Pets = createStore('pets', {
+    name: null
+  })
+
+  let People = createStore(null, {
+    firstname: null,
+    lastname: null
+  })
+
+  t.throws(() => createStore('pets!cats', { name: null }), 'Namespaces cannot contain "!".')
+
+  Pets.add({
+    name: 'K-9'
+  })
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  Pets.proxy.save()
+    .then(() => People.proxy.save())
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 1 && People.first.lastname === 'Doctor', 'Records of namespaces are excluded from the default keyspace.')
+
+      return helpers.close(Pets)
+    })
+    .then(() => {
+      People.proxy.enableLiveSync()
+
+      return new Promise((resolve) => {
+        People.once('live.delete', resolve)
+        People.clear()
+      })
+    })
+    .then(() => helpers.close(People))
+    .then(() => {
+      Pets = createStore('pets', {
+        name: null
+      })
+
+      return Pets.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(Pets.recordCount === 1, 'Clearing the default keyspace does not remove namespaced records.')
+
+      return helpers.close(Pets)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch(t.end)
+})
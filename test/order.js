@@ -0,0 +1,200 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/order')
+
+let createStore = function (config) {
+  return helpers.createStore(Object.assign({
+    directory: root
+  }, config))
+}
+
+let codes = function (store) {
+  return store.data.map((record) => record.code).join()
+}
+
+test('Key Order', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ orderedKeys: true })
+
+  People.add({ code: 10, lastname: 'Doctor' })
+  People.add({ code: 2, lastname: 'Song' })
+  People.add({ code: -1.5, lastname: 'Pond' })
+  People.add({ code: 'b', lastname: 'Tyler' })
+
+  People.proxy.save()
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(codes(People) === '-1.5,2,10,b', 'Numeric IDs are ordered numerically, before string IDs.')
+      t.ok(People.first.code === -1.5, 'Numeric IDs are restored as numbers.')
+
+      return People.proxy.fetch({ gte: 2, lt: 11 })
+    })
+    .then(() => {
+      t.ok(codes(People) === '2,10', 'Range options follow the order of the IDs.')
+
+      People.clear()
+
+      return People.proxy.page({ size: 2 }).then((result) => People.proxy.page({ size: 2, after: result.cursor }))
+    })
+    .then(() => {
+      t.ok(codes(People) === '-1.5,2,10,b', 'Pages follow the order of the IDs.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      People = createStore({ orderedKeys: true, layout: 'exploded' })
+
+      People.add({ code: 10, lastname: 'Doctor' })
+      People.add({ code: 9, lastname: 'Song' })
+
+      return People.proxy.save()
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(codes(People) === '9,10' && People.last.lastname === 'Doctor', 'Exploded records are ordered by ID.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
+
+test('Fetch Order', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ order: 'sequence', indexes: ['lastname'] })
+
+  People.add({ code: 'c', lastname: 'Doctor' })
+  People.add({ code: 'a', lastname: 'Tyler' })
+  People.add({ code: 'b', lastname: 'Song' })
+
+  let first = People.first.code
+  let last = People.last.code
+
+  People.proxy.save()
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(codes(People) === 'c,a,b' && People.first.code === first && People.last.code === last, 'Records are loaded in the order they were created.')
+
+      People.proxy.enableLiveSync()
+      People.remove(People.first)
+      People.add({ code: 'c', lastname: 'Who' })
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(codes(People) === 'a,b,c', 'Records created again are ordered by their new creation time.')
+
+      return People.proxy.fetch({ order: 'lastname' })
+    })
+    .then(() => {
+      t.ok(codes(People) === 'b,a,c', 'Records can be loaded in the order of an index.')
+
+      return People.proxy.fetch({ order: 'key', reverse: true })
+    })
+    .then(() => {
+      t.ok(codes(People) === 'c,b,a', 'Records can be loaded in key order.')
+
+      return People.proxy.fetch({ order: 'firstname' }).then(() => null, (err) => err)
+    })
+    .then((err) => {
+      t.ok(err instanceof Error, 'Ordering by a field requires an index.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore()
+
+      return People.proxy.fetch({ order: 'sequence' }).then(() => null, (err) => err)
+    })
+    .then((err) => {
+      t.ok(err instanceof Error, 'Ordering by creation requires the creation order to be tracked.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
+
+test('Composite Keys', function (t) {
+  helpers.reset(root)
+
+  let People = createStore({ orderedKeys: true })
+
+  People.add({ code: ['b', 1], lastname: 'Tyler' })
+  People.add({ code: ['a', 10], lastname: 'Doctor' })
+  People.add({ code: ['a', 2], lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.data.map((record) => JSON.stringify(record.code)).join() === '["a",2],["a",10],["b",1]', 'Composite IDs are ordered part by part.')
+
+      return People.proxy.fetch({ gte: ['a'], lt: ['b'] })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 2 && People.last.lastname === 'Doctor', 'Range options follow the order of the composite IDs.')
+
+      People.proxy.enableLiveSync()
+      People.last.lastname = 'Who'
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 3 && People.find(1) !== null && People.data[1].lastname === 'Who', 'Records with composite IDs are updated in place.')
+
+      return People.proxy.fetch({ keys: [['b', 1]], load: 'merge' })
+    })
+    .then(() => {
+      t.ok(People.recordCount === 3 && People.data.filter((record) => record.lastname === 'Tyler').length === 1, 'Records fetched by composite ID are merged with the store.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      People = createStore()
+
+      return People.proxy.fetch().then(() => null, (err) => err)
+    })
+    .then((err) => {
+      t.ok(err && err.name === 'LevelDBProxyDecodeError', 'Databases written with ordered keys are rejected without them.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      People = createStore()
+      People.add({ code: 'a', lastname: 'Doctor' })
+
+      return People.proxy.save().then(() => helpers.close(People))
+    })
+    .then(() => {
+      People = createStore({ orderedKeys: true })
+
+      return People.proxy.fetch().then(() => null, (err) => err)
+    })
+    .then((err) => {
+      t.ok(err && err.name === 'LevelDBProxyDecodeError', 'Databases written without ordered keys are rejected with them.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,79 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/page')
+
+let createStore = function () {
+  return helpers.createStore(root, {
+    idAttribute: 'code',
+    fields: {
+      code: null,
+      name: null
+    }
+  })
+}
+
+let codes = function (records) {
+  return records.map((record) => record.code).join(',')
+}
+
+test('Cursor Paging', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let last = null
+
+  ;['a', 'b', 'c', 'd', 'e'].forEach((code) => {
+    People.add({ code: code, name: code.toUpperCase() })
+  })
+
+  People.proxy.on('page', (result) => {
+    last = result
+  })
+
+  People.proxy.save()
+    .then(() => {
+      People.clear()
+      return People.proxy.page({ size: 2 })
+    })
+    .then((result) => {
+      t.ok(codes(result.records) === 'a,b', 'The first page contains the first records.')
+      t.ok(typeof result.cursor === 'string', 'A cursor is provided for the next page.')
+
+      return People.proxy.page({ size: 2, after: result.cursor })
+    })
+    .then((result) => {
+      t.ok(codes(result.records) === 'c,d', 'The cursor identifies the next page.')
+      t.ok(codes(People.records) === 'a,b,c,d', 'Pages are appended to the store.')
+
+      return People.proxy.page({ size: 2, after: result.cursor, evict: true })
+    })
+    .then((result) => {
+      t.ok(codes(result.records) === 'e', 'The last page contains the remaining records.')
+      t.ok(result.cursor === null, 'No cursor is provided after the last page.')
+      t.ok(codes(People.records) === 'a,b,e', 'Records of the previous page are evicted.')
+      t.ok(last !== null && last.records[0] === result.records[0], 'A page event is triggered with the records and cursor.')
+
+      return People.proxy.page({ size: 3, reverse: true })
+    })
+    .then((result) => {
+      t.ok(codes(result.records) === 'e,d,c', 'Pages can be read in reverse order.')
+
+      return People.proxy.page({ after: result.cursor })
+    })
+    .then((result) => {
+      t.ok(codes(result.records) === 'b,a', 'The cursor retains the direction.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/promise')
+
+let createStore = function () {
+  return helpers.createStore(root, {
+    autoid: true,
+    fields: {
+      firstname: null,
+      lastname: null
+    }
+  })
+}
+
+test('Promise-based Save & Fetch', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let events = []
+
+  People.proxy.on('save', () => events.push('save'))
+  People.proxy.on('fetch', () => events.push('fetch'))
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  People.proxy.save()
+    .then(() => {
+      t.pass('save() returns a promise when no callback is provided.')
+      People.clear()
+      return People.proxy.fetch()
+    })
+    .then(() => {
+      t.pass('fetch() returns a promise when no callback is provided.')
+      t.ok(events.indexOf('save') >= 0 && events.indexOf('fetch') >= 0, 'save and fetch events are triggered.')
+
+      return People.proxy.op((db) => {
+        return new Promise((resolve, reject) => {
+          db.get(People.first.id, { valueEncoding: 'json' }, (err, value) => {
+            err ? reject(err) : resolve(value)
+          })
+        })
+      })
+    })
+    .then((value) => {
+      t.ok(value.lastname === 'Doctor', 'op() resolves with the value of the promise returned by the operation.')
+
+      return People.proxy.op((db, done) => {
+        setTimeout(done, 10)
+      })
+    })
+    .then(() => {
+      t.pass('op() resolves when done() is called.')
+
+      return People.proxy.op(() => Promise.reject(new Error('Failed')))
+    })
+    .catch((err) => {
+      t.ok(err.message === 'Failed', 'op() rejects when the operation promise is rejected.')
+    })
+    .then(() => {
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Wait for Live Sync Writes', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+
+  People.proxy.enableLiveSync()
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Master'
+  })
+
+  let ids = People.records.map((record) => record.id)
+
+  People.proxy.ready().then(() => {
+    t.pass('ready() resolves after live writes are persisted.')
+
+    return People.proxy.op((db) => {
+      return Promise.all(ids.map((id) => {
+        return new Promise((resolve) => {
+          db.get(id, (err) => resolve(!err))
+        })
+      }))
+    })
+  }).then((exists) => {
+    t.ok(exists.every((persisted) => persisted), 'All pending records exist on disk.')
+
+    return People.proxy.ready()
+  }).then(() => {
+    t.pass('ready() resolves immediately when nothing is pending.')
+
+    People.proxy.close(() => {
+      helpers.reset(root)
+      t.end()
+    })
+  })
+})
@@ -0,0 +1,119 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/revisions')
+
+let createStore = function (config) {
+  return helpers.createStore(Object.assign({
+    directory: root,
+    revisionField: 'rev'
+  }, config), {
+    idAttribute: 'code',
+    fields: {
+      code: null,
+      firstname: null,
+      lastname: null,
+      rev: Number
+    }
+  })
+}
+
+let stored = function () {
+  let Reader = createStore()
+
+  return Reader.proxy.fetch().then(() => {
+    let data = Reader.first.data
+
+    return new Promise((resolve) => Reader.proxy.close(() => resolve(data)))
+  })
+}
+
+test('Record Revisions', function (t) {
+  helpers.reset(root)
+
+  let Doctors = createStore()
+  let Companions = createStore()
+  let conflicts = []
+  let errors = []
+
+  Companions.proxy.on('live.conflict', (conflict) => conflicts.push(conflict))
+  Companions.proxy.on('error', (detail) => errors.push(detail.error))
+
+  Doctors.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+
+  Doctors.proxy.save()
+    .then(() => {
+      t.ok(Doctors.first.rev === 1, 'Saving increments the revision.')
+
+      return Companions.proxy.fetch()
+    })
+    .then(() => {
+      Doctors.proxy.enableLiveSync()
+      Doctors.first.lastname = 'Who'
+      Doctors.first.firstname = 'Doctor'
+
+      return Doctors.proxy.ready()
+    })
+    .then(() => {
+      t.ok(Doctors.first.rev === 3, 'Every live write increments the revision.')
+
+      Companions.proxy.enableLiveSync()
+      Companions.first.lastname = 'Song'
+
+      return Companions.proxy.ready()
+    })
+    .then(() => stored())
+    .then((data) => {
+      t.ok(data.lastname === 'Who' && data.rev === 3, 'Writes of stale records are rejected.')
+      t.ok(errors.length > 0 && errors[0].name === 'LevelDBProxyConflictError', 'Conflicts produce a conflict error.')
+      t.ok(conflicts.length > 0 && conflicts[0].expected === 1 && conflicts[0].revision === 3 && conflicts[0].stored.lastname === 'Who', 'Conflicts fire a live.conflict event.')
+
+      let Resolved = createStore({
+        resolveConflict: (conflict) => Object.assign({}, conflict.stored, { firstname: conflict.local.firstname })
+      })
+
+      return Resolved.proxy.fetch().then(() => {
+        Doctors.first.lastname = 'Smith'
+
+        return Doctors.proxy.ready()
+      }).then(() => {
+        Resolved.proxy.enableLiveSync()
+        Resolved.first.firstname = 'John'
+
+        return Resolved.proxy.ready()
+      }).then(() => {
+        t.ok(Resolved.first.rev === 5 && Resolved.first.lastname === 'Smith', 'Resolved conflicts are written (and loaded).')
+
+        return new Promise((resolve) => Resolved.proxy.close(resolve))
+      })
+    })
+    .then(() => stored())
+    .then((data) => {
+      t.ok(data.firstname === 'John' && data.lastname === 'Smith' && data.rev === 5, 'The resolved data is stored.')
+
+      let Stale = createStore()
+      let saveConflicts = []
+
+      Stale.proxy.on('live.conflict', (conflict) => saveConflicts.push(conflict))
+      Stale.add({ code: 'a', firstname: 'The', lastname: 'Master', rev: 1 })
+
+      return Stale.proxy.save().then(() => null, (err) => err).then((err) => {
+        t.ok(err && err.name === 'LevelDBProxyConflictError', 'Saving stale records is rejected.')
+        t.ok(saveConflicts.length > 0 && saveConflicts[0].id === 'a' && saveConflicts[0].expected === 1 && saveConflicts[0].revision === 5, 'Saving stale records fires a live.conflict event.')
+
+        return new Promise((resolve) => Stale.proxy.close(resolve))
+      })
+    })
+    .then(() => new Promise((resolve) => Companions.proxy.close(resolve)))
+    .then(() => new Promise((resolve) => Doctors.proxy.close(resolve)))
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
@@ -95,6 +95,51 @@ test('Self Inspection', function (t) {
   t.end()
 })
 
+test('Managed Connection', function (t) {
+  let Model = new NGN.DATA.Model({
+    fields: {
+      a: null
+    },
+    proxy: new NGNX.DATA.LevelDBProxy(root)
+  })
+
+  let record = new Model({
+    a: 'value'
+  })
+
+  let proxy = record.proxy
+
+  t.ok(!proxy.isOpen, 'Database is not opened until it is required.')
+
+  proxy.once('connection.open', () => {
+    t.pass('connection.open triggered.')
+  })
+
+  proxy.op((db, done) => {
+    proxy.op((db2, done2) => {
+      t.ok(proxy.isOpen, 'Database is open during operations.')
+      t.ok(db === db2, 'Overlapping operations share a single handle.')
+
+      done2()
+      done()
+
+      proxy.close(() => {
+        t.ok(!proxy.isOpen, 'Database closed explicitly.')
+
+        proxy.op((db3, done3) => {
+          t.ok(proxy.isOpen, 'Database reopened automatically for new operations.')
+          done3()
+
+          proxy.close(() => {
+            fse.emptyDirSync(root)
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
 test('Basic Save & Fetch (Data Model)', function (t) {
   let Pet = new NGN.DATA.Model({
     fields: {
@@ -134,8 +179,10 @@ test('Basic Save & Fetch (Data Model)', function (t) {
         t.ok(record.lastname === 'Doctor', 'Data accurately loaded from disk.')
         t.ok(record.pet.name === 'K-9', 'Properly retrieved nested model data.')
 
-        fse.emptyDirSync(root)
-        t.end()
+        record.proxy.close(() => {
+          fse.emptyDirSync(root)
+          t.end()
+        })
       })
     })
   })
@@ -160,8 +207,10 @@ console.log(ds.data)
         'Successfully retrieved modified results.')
 
         setTimeout(() => {
-          fse.emptyDirSync(root)
-          t.end()
+          ds.proxy.close(() => {
+            fse.emptyDirSync(root)
+            t.end()
+          })
         }, 100)
       })
     })
@@ -192,9 +241,10 @@ test('Store Array Values', function (t) {
       t.ok(Array.isArray(record.a), 'Record returned in array format.')
       t.ok(typeof record.a.pop() === 'object' && record.a[0] === 'a', 'Array data is in correct format.')
 
-      fse.emptyDirSync(root)
-
-      t.end()
+      record.proxy.close(() => {
+        fse.emptyDirSync(root)
+        t.end()
+      })
     })
   })
 })
@@ -226,7 +276,9 @@ test('Non-String Primitive Data Types', function (t) {
       t.ok(record.n === 3, 'Number supported.')
       t.ok(record.nil === null, 'Null supported.')
       t.ok(record.o.some === 'value', 'Object/JSON supported for models.')
-      t.end()
+      record.proxy.close(() => {
+        t.end()
+      })
     })
   })
 })
@@ -339,8 +391,10 @@ test('Live Sync Model', function (t) {
       })
 
       tasks.on('complete', () => {
-        fse.emptyDirSync(root)
-        t.end()
+        record.proxy.close(() => {
+          fse.emptyDirSync(root)
+          t.end()
+        })
       })
 
       tasks.run(true)
@@ -0,0 +1,168 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/save')
+
+let createStore = function () {
+  let People = helpers.createStore(root, {
+    autoid: true,
+    fields: {
+      firstname: null,
+      lastname: null
+    }
+  })
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Doctor'
+  })
+
+  People.add({
+    firstname: 'The',
+    lastname: 'Master'
+  })
+
+  People.add({
+    firstname: 'River',
+    lastname: 'Song'
+  })
+
+  return People
+}
+
+let readAll = function (proxy, callback) {
+  let data = {}
+
+  proxy.op((db, done) => {
+    db.createReadStream({
+      valueEncoding: 'json'
+    }).on('data', (item) => {
+      data[item.key] = item.value
+    }).on('end', () => {
+      done()
+      callback(data)
+    })
+  })
+}
+
+test('Incremental Save', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let batches = []
+
+  People.proxy.op((db, done) => {
+    let batch = db.batch
+
+    db.batch = function (operations) {
+      batches.push(operations)
+      return batch.apply(db, arguments)
+    }
+
+    done()
+  })
+
+  People.proxy.save(() => {
+    t.ok(batches.length === 1 && batches[0].length === 3, 'Initial save writes every record.')
+
+    let removed = People.first.id
+    let modified = People.last.id
+
+    People.remove(People.first)
+    People.last.firstname = 'Melody'
+
+    People.proxy.save(() => {
+      let changes = batches[1]
+
+      t.ok(changes.length === 2, 'Only changed records are written.')
+      t.ok(changes.filter((op) => op.type === 'del' && op.key === removed).length === 1, 'Removed record is deleted.')
+      t.ok(changes.filter((op) => op.type === 'put' && op.key === modified).length === 1, 'Modified record is written.')
+
+      readAll(People.proxy, (data) => {
+        t.ok(Object.keys(data).length === 2, 'Unchanged records remain on disk.')
+        t.ok(data[modified].firstname === 'Melody', 'Modified record persisted.')
+
+        People.proxy.save(() => {
+          t.ok(batches.length === 2, 'No batch is written when nothing changed.')
+
+          People.proxy.close(() => {
+            helpers.reset(root)
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+test('Full Save', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+
+  People.proxy.save(() => {
+    People.remove(People.first)
+
+    People.proxy.save({ full: true }, () => {
+      t.pass('Full save applies callback.')
+
+      readAll(People.proxy, (data) => {
+        t.ok(Object.keys(data).length === 2, 'Full rewrite mirrors the store.')
+
+        People.proxy.close(() => {
+          helpers.reset(root)
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+test('Concurrent Live Writes', function (t) {
+  helpers.reset(root)
+
+  let config = { directory: root, indexes: ['lastname'] }
+  let People = helpers.createStore(config)
+  let Others = helpers.createStore(config)
+
+  People.add({ code: 'rose', firstname: 'Rose', lastname: 'Tyler' })
+
+  People.proxy.save()
+    .then(() => Others.proxy.fetch())
+    .then(() => {
+      Others.proxy.enableLiveSync()
+
+      // The live write starts while the save is reading the stored data.
+      People.first.lastname = 'Noble'
+
+      let saved = People.proxy.save()
+
+      Others.first.lastname = 'Smith'
+
+      return saved
+    })
+    .then(() => helpers.wait(50))
+    .then(() => Promise.all([
+      People.proxy.findBy('lastname', 'Noble'),
+      People.proxy.findBy('lastname', 'Smith')
+    ]))
+    .then((results) => {
+      t.ok(results[0].length + results[1].length === 1, 'Saves and live writes of the same record leave a single index entry.')
+
+      return Promise.all([helpers.close(People), helpers.close(Others)])
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch((err) => {
+      t.fail(err.message)
+      t.end()
+    })
+})
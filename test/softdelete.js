@@ -0,0 +1,106 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/softdelete')
+
+let createStore = function () {
+  return helpers.createStore({
+    directory: root,
+    indexes: ['lastname'],
+    softDelete: true
+  })
+}
+
+test('Soft Delete', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let cleared
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b', firstname: 'River', lastname: 'Song' })
+  People.add({ code: 'c', firstname: 'Rose', lastname: 'Tyler' })
+
+  People.proxy.save()
+    .then(() => {
+      People.proxy.enableLiveSync()
+      People.remove(People.find('b'))
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 2 && People.find('b') === null, 'Deleted records are excluded from fetches.')
+
+      return People.proxy.findBy('lastname', 'Song')
+    })
+    .then((records) => {
+      t.ok(records.length === 0, 'Deleted records are excluded from lookups.')
+
+      return People.proxy.restore('b')
+    })
+    .then((data) => {
+      t.ok(data.lastname === 'Song' && People.find('b') !== null, 'Restored records are loaded into the store.')
+
+      return People.proxy.findBy('lastname', 'Song')
+    })
+    .then((records) => {
+      t.ok(records.length === 1 && records[0].code === 'b', 'Restored records are indexed.')
+
+      return People.proxy.restore('b')
+    })
+    .then((data) => {
+      t.ok(data === null, 'Records without a tombstone are not restored.')
+
+      return helpers.wait()
+    })
+    .then(() => {
+      cleared = Date.now()
+      People.clear()
+
+      return People.proxy.ready()
+    })
+    .then(() => People.proxy.fetch())
+    .then(() => People.proxy.stats())
+    .then((stats) => {
+      t.ok(People.recordCount === 0 && stats.metadata >= 3, 'Clearing the store tombstones the records.')
+
+      return People.proxy.restoreAll({ since: cleared })
+    })
+    .then((restored) => {
+      t.ok(restored.length === 3 && People.recordCount === 3, 'Every record deleted since a time is restored.')
+
+      let Saved = createStore()
+
+      return Saved.proxy.fetch().then(() => {
+        Saved.remove(Saved.find('a'))
+
+        return Saved.proxy.save()
+      }).then(() => helpers.close(Saved))
+    })
+    .then(() => People.proxy.purge({ olderThan: cleared }))
+    .then((count) => {
+      t.ok(count === 0, 'Recent tombstones are retained.')
+
+      return People.proxy.purge()
+    })
+    .then((count) => {
+      t.ok(count === 1, 'Tombstones are purged.')
+
+      return People.proxy.restore('a')
+    })
+    .then((data) => {
+      t.ok(data === null, 'Purged records cannot be restored.')
+
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
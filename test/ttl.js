@@ -0,0 +1,132 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/ttl')
+
+let createStore = function (config) {
+  return helpers.createStore(Object.assign({
+    directory: root,
+    indexes: ['user'],
+    expiryField: 'expiresAt'
+  }, config), {
+    idAttribute: 'code',
+    fields: {
+      code: null,
+      user: null,
+      expiresAt: Date
+    }
+  })
+}
+
+test('Record Expiry', function (t) {
+  helpers.reset(root)
+
+  let Sessions = createStore({ ttl: 50, sweepInterval: 0 })
+  let deleted = []
+
+  Sessions.proxy.on('live.delete', (record) => deleted.push(record.code))
+
+  Sessions.add({ code: 'a', user: 'doctor' })
+  Sessions.add({ code: 'b', user: 'river' })
+  Sessions.add({ code: 'c', user: 'doctor', expiresAt: new Date(Date.now() + 60000) })
+
+  Sessions.proxy.save()
+    .then(() => helpers.wait(80))
+    .then(() => Sessions.proxy.findBy('user', 'doctor'))
+    .then((records) => {
+      t.ok(records.length === 1 && records[0].code === 'c', 'Expired records are excluded from lookups.')
+
+      return Sessions.proxy.fetch()
+    })
+    .then(() => {
+      t.ok(Sessions.recordCount === 1 && Sessions.first.code === 'c', 'Expired records are excluded from fetches.')
+
+      Sessions.add({ code: 'a', user: 'doctor' })
+      Sessions.add({ code: 'b', user: 'river' }) // Loaded, not yet persisted
+
+      return Sessions.proxy.sweep()
+    })
+    .then((count) => helpers.wait(20).then(() => count))
+    .then((count) => {
+      t.ok(count === 2, 'Sweeping deletes the expired records.')
+      t.ok(Sessions.recordCount === 1 && deleted.indexOf('a') >= 0 && deleted.indexOf('b') >= 0, 'Swept records are removed from the store.')
+
+      Sessions.proxy.enableLiveSync()
+      Sessions.first.expiresAt = new Date(Date.now() - 1000)
+
+      return Sessions.proxy.ready()
+    })
+    .then(() => Sessions.proxy.fetch())
+    .then(() => {
+      t.ok(Sessions.recordCount === 0, 'The expiry field overrides the ttl.')
+
+      return Sessions.proxy.sweep()
+    })
+    .then((count) => {
+      t.ok(count === 1, 'Updated expiry times are swept.')
+
+      return helpers.close(Sessions)
+    })
+    .then(() => {
+      Sessions = createStore({ ttl: 20, sweepInterval: 30 })
+      Sessions.proxy.enableLiveSync()
+      Sessions.add({ code: 'd', user: 'amy' })
+
+      return Sessions.proxy.ready()
+    })
+    .then(() => helpers.wait(120))
+    .then(() => {
+      t.ok(Sessions.recordCount === 0, 'Expired records are swept periodically.')
+
+      return Sessions.proxy.stats()
+    })
+    .then((stats) => {
+      t.ok(stats.keys === 0, 'Periodically swept records are deleted.')
+
+      return helpers.close(Sessions)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+})
+
+test('Expiry Rewrites', function (t) {
+  helpers.reset(root)
+
+  let Sessions = createStore({ ttl: 50, sweepInterval: 0, namespace: 'sessions', softDelete: true })
+
+  Sessions.add({ code: 'a', user: 'doctor' })
+  Sessions.add({ code: 'b', user: 'river' })
+
+  Sessions.proxy.save()
+    .then(() => helpers.wait(80))
+    .then(() => Sessions.proxy.save({ full: true }))
+    .then(() => Sessions.proxy.fetch())
+    .then(() => {
+      t.ok(Sessions.recordCount === 0, 'Full rewrites do not extend the expiry of unchanged records.')
+
+      return Sessions.proxy.sweep()
+    })
+    .then((count) => {
+      t.ok(count === 2, 'Rewritten records expire.')
+
+      return Sessions.proxy.restoreAll()
+    })
+    .then((restored) => {
+      t.ok(restored.length === 0, 'Expired records are not tombstoned.')
+
+      return helpers.close(Sessions)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch(t.end)
+})
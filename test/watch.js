@@ -0,0 +1,127 @@
+'use strict'
+
+let test = require('tape')
+let helpers = require('./helpers')
+
+require('ngn')
+require('ngn-data')
+require('../')
+
+let root = require('path').join(__dirname, './data/watch')
+
+let createStore = function () {
+  return helpers.createStore({
+    directory: root
+  })
+}
+
+test('Watch', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let changes = { key: [], prefix: [], range: [], predicate: [] }
+
+  let watcher = People.proxy.watch('a', (change) => changes.key.push(change))
+
+  People.proxy.watch({ prefix: 'b' }, (change) => changes.prefix.push(change))
+  People.proxy.watch({ gte: 'c', lt: 'd' }, (change) => changes.range.push(change))
+  People.proxy.watch((record) => record.lastname === 'Song', (change) => changes.predicate.push(change))
+
+  People.add({ code: 'a', firstname: 'The', lastname: 'Doctor' })
+  People.add({ code: 'b1', firstname: 'River', lastname: 'Song' })
+  People.add({ code: 'b2', firstname: 'Rose', lastname: 'Tyler' })
+
+  People.proxy.save()
+    .then(() => {
+      t.ok(changes.key.length === 1 && changes.key[0].operation === 'put' && changes.key[0].old === null && changes.key[0].new.lastname === 'Doctor', 'Saved changes are delivered to key watchers.')
+      t.ok(changes.prefix.length === 2, 'Prefix watchers receive matching changes.')
+      t.ok(changes.predicate.length === 1 && changes.predicate[0].key === 'b1', 'Predicate watchers receive matching changes.')
+
+      People.first.lastname = 'Who'
+
+      return People.proxy.save()
+    })
+    .then(() => {
+      t.ok(changes.key.length === 2 && changes.key[1].old.lastname === 'Doctor' && changes.key[1].new.lastname === 'Who', 'Changes contain the old and new values.')
+
+      return People.proxy.op((db, done) => {
+        db.put('c1', { code: 'c1', lastname: 'Pond' }, { valueEncoding: 'json' }, done)
+      })
+    })
+    .then(() => {
+      t.ok(changes.range.length === 1 && changes.range[0].new.lastname === 'Pond', 'Writes made by operations are delivered to range watchers.')
+
+      watcher.unwatch()
+      People.proxy.enableLiveSync()
+      People.first.lastname = 'Smith'
+      People.remove(People.last)
+
+      return People.proxy.ready()
+    })
+    .then(() => {
+      t.ok(changes.key.length === 2, 'Unsubscribed watchers receive no more changes.')
+      t.ok(changes.prefix.length === 3 && changes.prefix[2].operation === 'del' && changes.prefix[2].old.code === 'b2', 'Live synchronized changes are delivered.')
+
+      let delivered = []
+      let slow = People.proxy.watch({ prefix: 'd' }, (change) => {
+        delivered.push(change.key)
+        return helpers.wait(50)
+      }, { highWaterMark: 1 })
+
+      let started = Date.now()
+
+      People.add({ code: 'd1' })
+      People.add({ code: 'd2' })
+      People.add({ code: 'd3' })
+
+      return People.proxy.ready().then(() => {
+        t.ok(Date.now() - started >= 40, 'Writes wait for slow handlers.')
+
+        return helpers.wait(200)
+      }).then(() => {
+        t.ok(delivered.join() === 'd1,d2,d3' && slow.pending === 0, 'Changes are delivered one at a time, in order.')
+      })
+    })
+    .then(() => {
+      People.proxy.close(() => {
+        helpers.reset(root)
+        t.end()
+      })
+    })
+})
+
+test('Watch Failures', function (t) {
+  helpers.reset(root)
+
+  let People = createStore()
+  let delivered = []
+
+  People.proxy.watch((change) => {
+    delivered.push(change.key)
+
+    if (change.key === 'a') {
+      throw new Error('The handler failed.')
+    }
+  })
+
+  People.add({ code: 'a', lastname: 'Doctor' })
+  People.add({ code: 'b', lastname: 'Song' })
+
+  People.proxy.save()
+    .then(() => People.proxy.fetch())
+    .then(() => {
+      t.ok(People.recordCount === 2, 'Failing handlers do not fail the write.')
+
+      return helpers.wait()
+    })
+    .then(() => {
+      t.ok(delivered.join() === 'a,b', 'Changes are delivered after a handler fails.')
+
+      return helpers.close(People)
+    })
+    .then(() => {
+      helpers.reset(root)
+      t.end()
+    })
+    .catch(t.end)
+})